@@ -0,0 +1,57 @@
+// api/_lib/log.js - Structured JSON log lines for the serverless proxies
+
+const { redact } = require('./redact');
+
+/**
+ * Writes one JSON log line. Every field is passed through redact() first.
+ * @param {'info'|'warn'|'error'} level - Log level
+ * @param {string} event - Short event name, e.g. 'upstream_response'
+ * @param {object} fields - Extra fields such as route, upstreamStatus, latencyMs, cache
+ */
+function logEvent(level, event, fields = {}) {
+  const line = JSON.stringify(redact({
+    time: new Date().toISOString(),
+    level,
+    event,
+    ...fields
+  }));
+
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Creates a logger bound to one route that also reports request latency.
+ * @param {string} route - The route name, e.g. 'tmdb' or 'upc'
+ * @returns {{info: function, warn: function, error: function}}
+ */
+function createRequestLogger(route) {
+  const startedAt = Date.now();
+  const withContext = (fields) => ({ route, latencyMs: Date.now() - startedAt, ...fields });
+
+  return {
+    info: (event, fields) => logEvent('info', event, withContext(fields)),
+    warn: (event, fields) => logEvent('warn', event, withContext(fields)),
+    error: (event, fields) => logEvent('error', event, withContext(fields))
+  };
+}
+
+/**
+ * Maps a CDN cache header (x-cache, x-vercel-cache, cf-cache-status) to 'hit', 'miss' or null.
+ * @param {Headers} headers - Upstream response headers
+ * @returns {string|null}
+ */
+function cacheOutcome(headers) {
+  const raw = headers && (headers.get('x-cache') || headers.get('x-vercel-cache') || headers.get('cf-cache-status'));
+  if (!raw) return null;
+  if (/hit/i.test(raw)) return 'hit';
+  if (/miss|expired|bypass/i.test(raw)) return 'miss';
+  return raw.toLowerCase();
+}
+
+module.exports = { logEvent, createRequestLogger, cacheOutcome };
@@ -0,0 +1,77 @@
+// api/_lib/matcher.js - Server-side title cleaning and TMDb matching
+// Runs the shared media-matching.js strategies so results match the browser.
+
+const { MediaMatching } = require('../../media-matching.js');
+const { tmdbGet } = require('./tmdb-client');
+
+// TMDb client for MediaMatching.searchTMDB that talks to api.themoviedb.org directly
+const tmdbClient = {
+  async searchMulti(query) {
+    return rateLimited(() => tmdbGet('/search/multi', { query }));
+  },
+  async getDetails(mediaType, id) {
+    return rateLimited(() => tmdbGet(`/${mediaType}/${id}`, { append_to_response: 'credits' }));
+  },
+  async getSeason(tvId, seasonNumber) {
+    return rateLimited(() => tmdbGet(`/tv/${tvId}/season/${seasonNumber}`));
+  },
+  async searchCollection(query) {
+    return rateLimited(() => tmdbGet('/search/collection', { query }));
+  },
+  async getCollection(id) {
+    return rateLimited(() => tmdbGet(`/collection/${id}`));
+  }
+};
+
+async function rateLimited(request) {
+  try {
+    return await request();
+  } catch (error) {
+    if (error.status === 429) throw new Error('RATE_LIMIT');
+    throw error;
+  }
+}
+
+/**
+ * Returns the full details of the best TMDb match for a cleaned title,
+ * or a placeholder flagged for manual review.
+ * @param {string} title - Cleaned title
+ * @param {number|null} year - Year extracted from the UPC title
+ * @param {object|null} credits - { actors, directors } named on the package
+ * @returns {Promise<object>} TMDb details with matchScore and media_type
+ */
+function matchTitle(title, year = null, credits = null) {
+  return MediaMatching.searchTMDB(tmdbClient, title, year, false, null, null, credits);
+}
+
+/**
+ * Turns a normalized UPC product into a completeMovieLookup-shaped result.
+ * @param {string} barcode - The barcode
+ * @param {object} product - Normalized product from the UPC provider chain
+ * @param {object|null} thresholds - Caller's overrides of MediaMatching.MATCH_THRESHOLDS
+ * @returns {Promise<object>}
+ */
+async function matchProduct(barcode, product, thresholds = null) {
+  const upcData = {
+    barcode,
+    originalTitle: product.title || '',
+    brand: product.brand || '',
+    category: product.category || '',
+    description: product.description || '',
+    images: product.images || [],
+    source: product.source
+  };
+
+  const release = MediaMatching.detectReleaseKind(upcData.originalTitle);
+  if (release.kind !== 'movie') {
+    return MediaMatching.matchSeasonOrCollection(tmdbClient, upcData, release, thresholds);
+  }
+
+  const { title: cleanTitle, removed: removedTokens } = MediaMatching.cleanMovieTitleDetailed(upcData.originalTitle);
+  const extractedYear = MediaMatching.extractYearFromTitle(upcData.originalTitle);
+  const tmdbData = await matchTitle(cleanTitle, extractedYear, MediaMatching.extractCreditHints(upcData.originalTitle));
+
+  return MediaMatching.buildLookupResult(upcData, tmdbData, cleanTitle, extractedYear, removedTokens, thresholds);
+}
+
+module.exports = { matchTitle, matchProduct };
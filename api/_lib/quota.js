@@ -0,0 +1,199 @@
+// api/_lib/quota.js - Request budgets for upstream APIs with tight quotas
+//
+// Counters live in a pluggable store. The in-memory store is per function
+// instance; the file store (under /tmp by default) survives warm restarts of
+// the same instance. Neither is shared across regions, so the limits here are
+// set a little below the real upstream quota.
+
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Fixed-window counters held in process memory.
+ */
+class MemoryQuotaStore {
+  constructor() {
+    this.windows = new Map(); // key -> { count, resetAt }
+  }
+
+  /**
+   * Returns the current window for a key without counting a request.
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<{count: number, resetAt: number}>}
+   */
+  async peek(key, windowMs) {
+    return this._current(key, windowMs);
+  }
+
+  _current(key, windowMs) {
+    const now = Date.now();
+    const entry = this.windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      return { count: 0, resetAt: now + windowMs };
+    }
+    return { ...entry };
+  }
+
+  /**
+   * Counts one request against a key.
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<{count: number, resetAt: number}>}
+   */
+  async increment(key, windowMs) {
+    // Read and write without awaiting in between, so concurrent requests can't both count from the same value
+    const entry = this._current(key, windowMs);
+    entry.count++;
+    this.windows.set(key, entry);
+    return { ...entry };
+  }
+}
+
+/**
+ * Fixed-window counters persisted to a JSON file.
+ */
+class FileQuotaStore extends MemoryQuotaStore {
+  /**
+   * @param {string} filePath - Where to keep the counters
+   */
+  constructor(filePath = path.join('/tmp', 'the-library-sale-quota.json')) {
+    super();
+    this.filePath = filePath;
+    this._saving = Promise.resolve(); // Saves run one at a time, each writing the latest counts
+    this._load();
+  }
+
+  _load() {
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      const now = Date.now();
+      Object.entries(JSON.parse(raw)).forEach(([key, entry]) => {
+        if (entry && entry.resetAt > now) {
+          this.windows.set(key, entry);
+        }
+      });
+    } catch (e) {
+      // Missing or unreadable file - start with empty counters
+    }
+  }
+
+  async _save() {
+    const now = Date.now();
+    const live = {};
+    for (const [key, entry] of this.windows.entries()) {
+      if (entry.resetAt > now) live[key] = entry;
+    }
+    await fs.promises.writeFile(this.filePath, JSON.stringify(live));
+  }
+
+  async increment(key, windowMs) {
+    const entry = await super.increment(key, windowMs);
+    // Overlapping writeFile calls on one file can finish out of order and drop counts
+    this._saving = this._saving
+      .then(() => this._save())
+      .catch(() => {
+        // Counting still works in memory if the file can't be written
+      });
+    await this._saving;
+    return entry;
+  }
+}
+
+/**
+ * Picks a store from an env-style name ('memory' or 'file').
+ * @param {string} [type] - Store type
+ * @returns {MemoryQuotaStore|FileQuotaStore}
+ */
+function createQuotaStore(type = 'memory') {
+  if (type === 'file') {
+    return new FileQuotaStore(process.env.QUOTA_STORE_PATH || undefined);
+  }
+  return new MemoryQuotaStore();
+}
+
+/**
+ * Identifies the caller for per-client budgets.
+ * @param {object} req - Incoming request
+ * @returns {string} The client IP, or 'unknown'
+ */
+function getClientId(req) {
+  const forwarded = req.headers && req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return String(forwarded).split(',')[0].trim();
+  }
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Checks every budget for a request and, if all have room, counts it.
+ * @param {MemoryQuotaStore} store - Counter store
+ * @param {string} clientId - Caller identifier
+ * @param {Array<{name: string, scope: 'global'|'client', limit: number, windowMs: number}>} budgets
+ * @returns {Promise<{allowed: boolean, remaining: number, limit: number, retryAfterSec: number, exceeded: string|null}>}
+ *   remaining/limit describe the tightest daily budget, so clients can pace themselves.
+ */
+async function consumeQuota(store, clientId, budgets) {
+  const keyFor = (budget) => budget.scope === 'client'
+    ? `${budget.name}:${clientId}`
+    : budget.name;
+
+  const windows = await Promise.all(budgets.map(budget => store.peek(keyFor(budget), budget.windowMs)));
+  const now = Date.now();
+
+  const exceededIndex = budgets.findIndex((budget, i) => windows[i].count >= budget.limit);
+  if (exceededIndex !== -1) {
+    return {
+      allowed: false,
+      ...tightestBudget(budgets, windows),
+      retryAfterSec: Math.max(1, Math.ceil((windows[exceededIndex].resetAt - now) / 1000)),
+      exceeded: budgets[exceededIndex].name
+    };
+  }
+
+  const updated = await Promise.all(budgets.map(budget => store.increment(keyFor(budget), budget.windowMs)));
+
+  // Requests that passed the check together may have pushed a budget past its limit; the
+  // late ones are refused (and stay counted), so upstream never sees more than the limit
+  const overrunIndex = budgets.findIndex((budget, i) => updated[i].count > budget.limit);
+  if (overrunIndex !== -1) {
+    return {
+      allowed: false,
+      ...tightestBudget(budgets, updated),
+      retryAfterSec: Math.max(1, Math.ceil((updated[overrunIndex].resetAt - now) / 1000)),
+      exceeded: budgets[overrunIndex].name
+    };
+  }
+
+  return {
+    allowed: true,
+    ...tightestBudget(budgets, updated),
+    retryAfterSec: 0,
+    exceeded: null
+  };
+}
+
+function tightestBudget(budgets, windows) {
+  let tightest = { remaining: Infinity, limit: 0 };
+  budgets.forEach((budget, i) => {
+    if (budget.windowMs < DAY_MS) return;
+    const remaining = Math.max(0, budget.limit - windows[i].count);
+    if (remaining < tightest.remaining) {
+      tightest = { remaining, limit: budget.limit };
+    }
+  });
+  return tightest.remaining === Infinity ? { remaining: 0, limit: 0 } : tightest;
+}
+
+module.exports = {
+  MemoryQuotaStore,
+  FileQuotaStore,
+  createQuotaStore,
+  consumeQuota,
+  getClientId,
+  MINUTE_MS,
+  DAY_MS
+};
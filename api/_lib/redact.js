@@ -0,0 +1,57 @@
+// api/_lib/redact.js - Scrubs API keys and tokens before anything leaves the function
+
+// Environment variables whose values must never appear in logs or responses.
+const SECRET_ENV_VARS = ['TMDB_API_KEY', 'UPCITEMDB_USER_KEY'];
+
+// Query-string and header style secrets, e.g. "api_key=abc123" or "Bearer abc123"
+const SECRET_PATTERNS = [
+  /([?&](?:api_key|apikey|key|user_key|token|access_token)=)[^&\s"']+/gi,
+  /("(?:api_key|apikey|key|user_key|token|access_token)"\s*:\s*")[^"]+/gi,
+  /(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi
+];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Removes secrets from a single string.
+ * @param {string} text - The text to scrub
+ * @returns {string} The text with any keys or tokens replaced
+ */
+function redactString(text) {
+  let result = String(text);
+
+  SECRET_ENV_VARS.forEach(name => {
+    const secret = process.env[name];
+    if (secret && secret.length >= 4) {
+      result = result.split(secret).join(REDACTED);
+    }
+  });
+
+  SECRET_PATTERNS.forEach(pattern => {
+    result = result.replace(pattern, `$1${REDACTED}`);
+  });
+
+  return result;
+}
+
+/**
+ * Recursively scrubs strings, arrays, plain objects and errors.
+ * @param {any} value - The value to scrub
+ * @returns {any} A redacted copy of the value
+ */
+function redact(value) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message) };
+  }
+  if (Array.isArray(value)) return value.map(redact);
+  if (typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, val]) => [key, redact(val)])
+    );
+  }
+  return value;
+}
+
+module.exports = { redact, redactString };
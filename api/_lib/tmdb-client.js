@@ -0,0 +1,38 @@
+// api/_lib/tmdb-client.js - Direct TMDb access for server-side lookups
+
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+
+/**
+ * GETs a TMDb endpoint with our API key attached.
+ * @param {string} path - TMDb path, e.g. '/search/multi'
+ * @param {object} params - Query parameters
+ * @returns {Promise<object>} The parsed JSON body
+ * @throws {Error} With a numeric `status` when TMDb answers with an error
+ */
+async function tmdbGet(path, params = {}) {
+  const apiKey = process.env.TMDB_API_KEY;
+  if (!apiKey) {
+    const error = new Error('Server configuration error: TMDB_API_KEY not set.');
+    error.status = 500;
+    throw error;
+  }
+
+  const query = new URLSearchParams({ ...params, api_key: apiKey });
+  const response = await fetch(`${TMDB_BASE_URL}${path}?${query.toString()}`, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json',
+      'User-Agent': 'TinyLizard-MovieApp/1.0'
+    }
+  });
+
+  if (!response.ok) {
+    const error = new Error(`TMDb API error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+module.exports = { tmdbGet };
@@ -0,0 +1,91 @@
+// api/_lib/upc-lookup.js - Runs a barcode through the UPC provider chain
+// Shared by /api/upc and /api/lookup/batch so both spend the same quotas.
+
+const { cacheOutcome } = require('./log');
+const { createQuotaStore, consumeQuota } = require('./quota');
+const { getProviderChain } = require('./upc-providers');
+
+// Kept at module scope so counters survive between invocations of a warm instance.
+const quotaStore = createQuotaStore(process.env.UPC_QUOTA_STORE);
+
+/**
+ * Works out how long to wait after an upstream 429.
+ * upcitemdb sends X-RateLimit-Reset as an epoch timestamp in seconds.
+ * @param {Headers} headers - Upstream response headers
+ * @returns {number} Seconds to wait
+ */
+function upstreamRetryAfter(headers) {
+  if (!headers) return 60;
+  const retryAfter = Number(headers.get('retry-after'));
+  if (retryAfter > 0) return Math.ceil(retryAfter);
+
+  const reset = Number(headers.get('x-ratelimit-reset'));
+  if (reset > 0) {
+    return Math.max(1, Math.ceil(reset - Date.now() / 1000));
+  }
+  return 60;
+}
+
+/**
+ * Asks each provider in turn until one knows the barcode.
+ * @param {string} upc - The barcode
+ * @param {string} clientId - Caller identifier for per-client budgets
+ * @param {object} log - A request logger from createRequestLogger()
+ * @returns {Promise<{outcome: 'found'|'not_found'|'rate_limited'|'error', product: object|null,
+ *   attempts: Array<object>, retryAfterSec: number, quota: {remaining: number, limit: number}|null}>}
+ */
+async function lookupUpc(upc, clientId, log) {
+  const attempts = [];
+  let rateLimited = null;
+  let quota = null;
+
+  for (const provider of getProviderChain()) {
+    // Check our own budgets before spending an upstream request.
+    if (provider.budgets) {
+      const check = await consumeQuota(quotaStore, clientId, provider.budgets);
+      quota = { remaining: check.remaining, limit: check.limit };
+
+      if (!check.allowed) {
+        log.warn('quota_exceeded', { upc, provider: provider.name, budget: check.exceeded, retryAfterSec: check.retryAfterSec });
+        rateLimited = { retryAfterSec: check.retryAfterSec };
+        attempts.push({ provider: provider.name, outcome: 'quota_exceeded' });
+        continue;
+      }
+    }
+
+    try {
+      const product = await provider.lookup(upc);
+      log.info('provider_response', { upc, provider: provider.name, found: Boolean(product) });
+
+      if (product) {
+        attempts.push({ provider: provider.name, outcome: 'found' });
+        return { outcome: 'found', product, attempts, retryAfterSec: 0, quota };
+      }
+      attempts.push({ provider: provider.name, outcome: 'not_found' });
+
+    } catch (providerError) {
+      log.error('provider_error', {
+        upc,
+        provider: provider.name,
+        upstreamStatus: providerError.status || null,
+        cache: cacheOutcome(providerError.headers),
+        error: providerError
+      });
+      attempts.push({ provider: provider.name, outcome: 'error', status: providerError.status || null });
+
+      if (providerError.status === 429) {
+        rateLimited = { retryAfterSec: upstreamRetryAfter(providerError.headers) };
+      }
+    }
+  }
+
+  if (rateLimited) {
+    return { outcome: 'rate_limited', product: null, attempts, retryAfterSec: rateLimited.retryAfterSec, quota };
+  }
+  if (attempts.some(attempt => attempt.outcome === 'error')) {
+    return { outcome: 'error', product: null, attempts, retryAfterSec: 0, quota };
+  }
+  return { outcome: 'not_found', product: null, attempts, retryAfterSec: 0, quota };
+}
+
+module.exports = { lookupUpc, upstreamRetryAfter };
@@ -0,0 +1,173 @@
+// api/_lib/upc-providers.js - UPC/EAN lookup providers behind one adapter interface
+//
+// Every provider exposes:
+//   name        - identifier reported back to the client as `source`
+//   budgets     - optional quota budgets checked before each upstream call
+//   isEnabled() - false when the provider is missing configuration
+//   lookup(upc) - resolves to a normalized product, or null when the provider
+//                 doesn't know the barcode. Failures throw an Error with a
+//                 numeric `status` (429 for rate limits).
+//
+// Normalized product shape: { title, brand, category, description, images, source }
+
+const { MINUTE_MS, DAY_MS } = require('./quota');
+
+const USER_AGENT = 'the-library-sale-App/1.0';
+
+/**
+ * Builds the normalized product shape from any provider's raw fields.
+ * @param {object} raw - Provider fields
+ * @param {string} source - Provider name
+ * @returns {{title: string, brand: string, category: string, description: string, images: string[], source: string}}
+ */
+function normalizeProduct(raw, source) {
+  return {
+    title: raw.title || '',
+    brand: raw.brand || '',
+    category: raw.category || '',
+    description: raw.description || '',
+    images: Array.isArray(raw.images) ? raw.images : [],
+    source
+  };
+}
+
+function providerError(message, status, headers = null) {
+  const error = new Error(message);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+/**
+ * Shared request logic for both upcitemdb endpoints.
+ * @param {string} url - Full lookup URL
+ * @param {object} extraHeaders - Additional request headers
+ * @param {string} source - Provider name
+ */
+async function lookupUpcItemDb(url, extraHeaders, source) {
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json',
+      'User-Agent': USER_AGENT,
+      ...extraHeaders
+    }
+  });
+
+  // upcitemdb answers 404 for unknown barcodes on some plans
+  if (response.status === 404) return null;
+
+  if (!response.ok) {
+    throw providerError(`${source} returned ${response.status} ${response.statusText}`, response.status, response.headers);
+  }
+
+  const data = await response.json();
+  if (!data || data.code !== 'OK' || !data.items || data.items.length === 0) {
+    return null;
+  }
+  return normalizeProduct(data.items[0], source);
+}
+
+/**
+ * Barcodes we have resolved by hand and ship with the app (api/_data/barcodes.json).
+ * Format: { "<upc>": { "title": "...", "brand": "...", "category": "...", "description": "...", "images": [] } }
+ */
+const localTableProvider = {
+  name: 'local',
+  budgets: null,
+  _table: null,
+
+  isEnabled() {
+    return true;
+  },
+
+  _loadTable() {
+    if (!this._table) {
+      try {
+        this._table = require('../_data/barcodes.json');
+      } catch (e) {
+        this._table = {};
+      }
+    }
+    return this._table;
+  },
+
+  async lookup(upc) {
+    const entry = this._loadTable()[upc];
+    return entry ? normalizeProduct(entry, this.name) : null;
+  }
+};
+
+/**
+ * Paid upcitemdb plan, enabled when UPCITEMDB_USER_KEY is set.
+ */
+const upcItemDbKeyedProvider = {
+  name: 'upcitemdb',
+  budgets: null,
+
+  isEnabled() {
+    return Boolean(process.env.UPCITEMDB_USER_KEY);
+  },
+
+  async lookup(upc) {
+    return lookupUpcItemDb(
+      `https://api.upcitemdb.com/prod/v1/lookup?upc=${encodeURIComponent(upc)}`,
+      {
+        'user_key': process.env.UPCITEMDB_USER_KEY,
+        'key_type': process.env.UPCITEMDB_KEY_TYPE || '3scale'
+      },
+      this.name
+    );
+  }
+};
+
+/**
+ * Free upcitemdb trial endpoint. It allows 100 lookups a day and 6 a minute;
+ * our budgets sit just under that so we answer 429 ourselves instead of
+ * burning the real quota.
+ */
+const upcItemDbTrialProvider = {
+  name: 'upcitemdb_trial',
+  budgets: [
+    { name: 'upc_global_day', scope: 'global', limit: Number(process.env.UPC_DAILY_LIMIT) || 95, windowMs: DAY_MS },
+    { name: 'upc_global_minute', scope: 'global', limit: Number(process.env.UPC_MINUTE_LIMIT) || 6, windowMs: MINUTE_MS },
+    { name: 'upc_client_day', scope: 'client', limit: Number(process.env.UPC_CLIENT_DAILY_LIMIT) || 60, windowMs: DAY_MS }
+  ],
+
+  isEnabled() {
+    return true;
+  },
+
+  async lookup(upc) {
+    return lookupUpcItemDb(
+      `https://api.upcitemdb.com/prod/trial/lookup?upc=${encodeURIComponent(upc)}`,
+      {},
+      this.name
+    );
+  }
+};
+
+const PROVIDERS = {
+  local: localTableProvider,
+  upcitemdb: upcItemDbKeyedProvider,
+  upcitemdb_trial: upcItemDbTrialProvider
+};
+
+const DEFAULT_CHAIN = ['local', 'upcitemdb', 'upcitemdb_trial'];
+
+/**
+ * Returns the enabled providers in lookup order.
+ * The order can be overridden with UPC_PROVIDERS, e.g. "local,upcitemdb_trial".
+ * @returns {Array<object>}
+ */
+function getProviderChain() {
+  const names = process.env.UPC_PROVIDERS
+    ? process.env.UPC_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_CHAIN;
+
+  return names
+    .map(name => PROVIDERS[name])
+    .filter(provider => provider && provider.isEnabled());
+}
+
+module.exports = { getProviderChain, normalizeProduct, PROVIDERS };
@@ -0,0 +1,137 @@
+// api/lookup/batch.js - Batch barcode lookup for bulk scanning
+//
+// POST { "barcodes": ["012345678905", ...], "thresholds": { "minConfidence": 0.5, ... } }
+// thresholds are optional per-user review thresholds (see MediaMatching.MATCH_THRESHOLDS).
+// Streams one NDJSON line per barcode as soon as it finishes:
+//   { "barcode", "status": "ok", "upcData", "tmdbData", "physicalEdition", ... }
+//   { "barcode", "status": "not_found" | "error", "error" }
+//   { "barcode", "status": "rate_limited", "retryAfter" }
+// followed by a final { "done": true, "count" } line.
+// Each barcode is looked up by its canonical form (barcodes.js) but answered as sent.
+
+const { redactString } = require('../_lib/redact');
+const { createRequestLogger } = require('../_lib/log');
+const { getClientId } = require('../_lib/quota');
+const { lookupUpc } = require('../_lib/upc-lookup');
+const { matchProduct } = require('../_lib/matcher');
+const { MediaMatching } = require('../../media-matching.js');
+const { BarcodeUtils } = require('../../barcodes.js');
+
+const MAX_BARCODES = Number(process.env.BATCH_MAX_BARCODES) || 50;
+const CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3;
+
+/**
+ * Runs fn over items with at most `limit` calls in flight.
+ * @param {Array} items - Work items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {function} fn - Async worker
+ */
+async function runWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+function parseBody(body) {
+  if (typeof body !== 'string') return body || null;
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseBarcodes(parsed) {
+  if (!parsed || !Array.isArray(parsed.barcodes)) return null;
+
+  // Drop blanks and duplicates but keep scan order
+  return [...new Set(parsed.barcodes.map(code => String(code).trim()).filter(Boolean))];
+}
+
+module.exports = async (req, res) => {
+  const log = createRequestLogger('lookup_batch');
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const body = parseBody(req.body);
+  const barcodes = parseBarcodes(body);
+  if (!barcodes || barcodes.length === 0) {
+    return res.status(400).json({ error: 'Request body must be { "barcodes": [...] }', code: 'INVALID_BODY' });
+  }
+  if (barcodes.length > MAX_BARCODES) {
+    return res.status(400).json({ error: `At most ${MAX_BARCODES} barcodes per batch`, code: 'BATCH_TOO_LARGE' });
+  }
+  const invalid = barcodes.find(code => !BarcodeUtils.canonicalize(code));
+  if (invalid) {
+    return res.status(400).json({ error: `Invalid barcode: ${invalid}`, code: 'INVALID_BARCODE' });
+  }
+
+  // Two spellings of one product (UPC-A and EAN-13) are looked up once, under the first
+  const lookups = [];
+  const seen = new Set();
+  for (const barcode of barcodes) {
+    const canonical = BarcodeUtils.canonicalize(barcode);
+    if (seen.has(canonical)) continue;
+    seen.add(canonical);
+    lookups.push({ barcode, canonical });
+  }
+
+  const thresholds = MediaMatching.normalizeThresholds(body.thresholds);
+  const clientId = getClientId(req);
+  const counts = { ok: 0, not_found: 0, rate_limited: 0, error: 0 };
+
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200);
+
+  const send = (line) => {
+    counts[line.status] = (counts[line.status] || 0) + 1;
+    res.write(`${JSON.stringify(line)}\n`);
+  };
+
+  await runWithConcurrency(lookups, CONCURRENCY, async ({ barcode, canonical }) => {
+    try {
+      const upc = await lookupUpc(canonical, clientId, log);
+
+      if (upc.outcome === 'rate_limited') {
+        return send({ barcode, status: 'rate_limited', retryAfter: upc.retryAfterSec });
+      }
+      if (upc.outcome === 'not_found') {
+        return send({ barcode, status: 'not_found', error: 'No product found for this barcode' });
+      }
+      if (upc.outcome === 'error') {
+        return send({ barcode, status: 'error', error: 'UPC providers failed to respond.' });
+      }
+
+      const result = await matchProduct(canonical, upc.product, thresholds);
+      send({ barcode, status: 'ok', ...result });
+
+    } catch (error) {
+      if (error.message === 'RATE_LIMIT') {
+        return send({ barcode, status: 'rate_limited', retryAfter: 10 });
+      }
+      log.error('barcode_failed', { barcode, error });
+      send({ barcode, status: 'error', error: redactString(error.message) });
+    }
+  });
+
+  log.info('batch_complete', { count: lookups.length, ...counts });
+  res.write(`${JSON.stringify({ done: true, count: lookups.length })}\n`);
+  res.end();
+};
@@ -1,6 +1,138 @@
 // api/tmdb.js - Fixed version with Caching Headers
 
+const { redact, redactString } = require('./_lib/redact');
+const { createRequestLogger, cacheOutcome } = require('./_lib/log');
+
+// Only the TMDb endpoints the app actually calls are proxied. Anything else is
+// rejected so the deployment can't be used as an open relay for our API key.
+const ALLOWED_ROUTES = [
+  {
+    name: 'search',
+    pattern: /^\/search\/multi$/,
+    params: ['query', 'page', 'include_adult', 'language', 'year']
+  },
+  {
+    name: 'details',
+    pattern: /^\/(movie|tv)\/(\d{1,10})$/,
+    params: ['append_to_response', 'language']
+  },
+  {
+    name: 'credits',
+    pattern: /^\/(movie|tv)\/(\d{1,10})\/credits$/,
+    params: ['language']
+  },
+  {
+    name: 'release_dates',
+    pattern: /^\/movie\/(\d{1,10})\/release_dates$/,
+    params: []
+  },
+  {
+    name: 'season',
+    pattern: /^\/tv\/(\d{1,10})\/season\/(\d{1,3})$/,
+    params: ['language']
+  },
+  {
+    name: 'collection_search',
+    pattern: /^\/search\/collection$/,
+    params: ['query', 'page', 'language']
+  },
+  {
+    name: 'collection',
+    pattern: /^\/collection\/(\d{1,10})$/,
+    params: ['language']
+  }
+];
+
+// Sub-resources that may be folded into a details request
+const ALLOWED_APPEND = ['credits', 'release_dates'];
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_PAGE = 500;
+
+/**
+ * Validates the proxied path and query string against the allowlist.
+ * @param {string} path - The TMDb path (everything after /api/tmdb)
+ * @param {URLSearchParams} searchParams - The incoming query parameters
+ * @returns {{status: number, code: string, message: string}|null} An error, or null if the request is allowed
+ */
+function validateTmdbRequest(path, searchParams) {
+  const route = ALLOWED_ROUTES.find(r => r.pattern.test(path));
+  if (!route) {
+    return { status: 403, code: 'ENDPOINT_NOT_ALLOWED', message: `Endpoint not allowed: ${path}` };
+  }
+
+  for (const [key, value] of searchParams.entries()) {
+    if (key === 'api_key') {
+      return { status: 400, code: 'INVALID_PARAMETER', message: 'api_key must not be supplied by the client' };
+    }
+    if (!route.params.includes(key)) {
+      return { status: 400, code: 'INVALID_PARAMETER', message: `Parameter not allowed: ${key}` };
+    }
+
+    switch (key) {
+      case 'query':
+        if (!value.trim() || value.length > MAX_QUERY_LENGTH) {
+          return { status: 400, code: 'INVALID_PARAMETER', message: `query must be 1-${MAX_QUERY_LENGTH} characters` };
+        }
+        break;
+      case 'page': {
+        const page = Number(value);
+        if (!Number.isInteger(page) || page < 1 || page > MAX_PAGE) {
+          return { status: 400, code: 'INVALID_PARAMETER', message: `page must be an integer between 1 and ${MAX_PAGE}` };
+        }
+        break;
+      }
+      case 'year':
+        if (!/^\d{4}$/.test(value)) {
+          return { status: 400, code: 'INVALID_PARAMETER', message: 'year must be a 4-digit year' };
+        }
+        break;
+      case 'include_adult':
+        if (value !== 'true' && value !== 'false') {
+          return { status: 400, code: 'INVALID_PARAMETER', message: 'include_adult must be true or false' };
+        }
+        break;
+      case 'language':
+        if (!/^[a-z]{2}(-[A-Z]{2})?$/.test(value)) {
+          return { status: 400, code: 'INVALID_PARAMETER', message: 'language must look like "en" or "en-US"' };
+        }
+        break;
+      case 'append_to_response': {
+        const parts = value.split(',');
+        const invalid = parts.find(part => !ALLOWED_APPEND.includes(part));
+        if (invalid !== undefined) {
+          return { status: 400, code: 'INVALID_PARAMETER', message: `append_to_response value not allowed: ${invalid}` };
+        }
+        break;
+      }
+    }
+  }
+
+  if ((route.name === 'search' || route.name === 'collection_search') && !searchParams.get('query')) {
+    return { status: 400, code: 'MISSING_PARAMETER', message: 'query is required' };
+  }
+
+  return null;
+}
+
+/**
+ * Pulls TMDb's status_message out of an error body so we never echo raw upstream text.
+ * @param {string} errorText - The raw upstream response body
+ * @returns {string} A short, client-safe message
+ */
+function extractTmdbMessage(errorText) {
+  try {
+    const parsed = JSON.parse(errorText);
+    if (parsed && parsed.status_message) return parsed.status_message;
+  } catch (e) {
+    // Not JSON - fall through to the generic message
+  }
+  return 'Upstream request failed';
+}
+
 module.exports = async (req, res) => {
+  const log = createRequestLogger('tmdb');
+
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -20,32 +152,31 @@ module.exports = async (req, res) => {
   const TMDB_API_KEY = process.env.TMDB_API_KEY;
 
   if (!TMDB_API_KEY) {
-    console.error('TMDB_API_KEY environment variable not set');
+    log.error('config_error', { message: 'TMDB_API_KEY environment variable not set' });
     return res.status(500).json({ error: 'Server configuration error: TMDB_API_KEY not set.' });
   }
 
+  // Remove /api/tmdb from the beginning to get the TMDb endpoint
+  let tmdbPath = null;
+
   try {
-    // Extract the path after /api/tmdb
-    const fullUrl = req.url;
-    console.log('Full request URL:', fullUrl);
-    
-    // Remove /api/tmdb from the beginning to get the TMDb endpoint
-    const tmdbPath = fullUrl.replace('/api/tmdb', '');
-    console.log('Extracted TMDb path:', tmdbPath);
-    
-    // Build the full TMDb URL
-    const tmdbBaseUrl = 'https://api.themoviedb.org/3';
-    let targetUrl;
-    
-    if (tmdbPath.includes('?')) {
-      // URL already has query parameters, append api_key
-      targetUrl = `${tmdbBaseUrl}${tmdbPath}&api_key=${TMDB_API_KEY}`;
-    } else {
-      // URL has no query parameters, add api_key as first parameter
-      targetUrl = `${tmdbBaseUrl}${tmdbPath}?api_key=${TMDB_API_KEY}`;
+    const requestUrl = new URL(req.url, 'http://localhost');
+    tmdbPath = requestUrl.pathname.replace(/^\/api\/tmdb/, '');
+
+    const validationError = validateTmdbRequest(tmdbPath, requestUrl.searchParams);
+    if (validationError) {
+      log.warn('request_rejected', { path: tmdbPath, status: validationError.status, code: validationError.code });
+      return res.status(validationError.status).json({
+        error: validationError.message,
+        code: validationError.code
+      });
     }
     
-    console.log('Proxying to TMDb URL:', targetUrl);
+    // Build the full TMDb URL from the validated path and parameters only
+    const tmdbBaseUrl = 'https://api.themoviedb.org/3';
+    const targetParams = new URLSearchParams(requestUrl.searchParams);
+    targetParams.set('api_key', TMDB_API_KEY);
+    const targetUrl = `${tmdbBaseUrl}${tmdbPath}?${targetParams.toString()}`;
 
     const tmdbResponse = await fetch(targetUrl, {
       method: 'GET',
@@ -57,16 +188,24 @@ module.exports = async (req, res) => {
 
     if (!tmdbResponse.ok) {
       const errorText = await tmdbResponse.text();
-      console.error(`TMDb API returned error: ${tmdbResponse.status} ${tmdbResponse.statusText}`);
-      console.error('Error response:', errorText);
+      log.error('upstream_error', {
+        path: tmdbPath,
+        upstreamStatus: tmdbResponse.status,
+        cache: cacheOutcome(tmdbResponse.headers),
+        details: errorText.substring(0, 500)
+      });
       return res.status(tmdbResponse.status).json({
         error: `TMDb API error: ${tmdbResponse.status} ${tmdbResponse.statusText}`,
-        details: errorText
+        details: redact(extractTmdbMessage(errorText))
       });
     }
 
     const data = await tmdbResponse.json();
-    console.log('TMDb API success, returning data');
+    log.info('upstream_response', {
+      path: tmdbPath,
+      upstreamStatus: tmdbResponse.status,
+      cache: cacheOutcome(tmdbResponse.headers)
+    });
 
     // --- CACHING IMPLEMENTATION ---
     // Set cache headers for successful responses.
@@ -77,10 +216,10 @@ module.exports = async (req, res) => {
     res.status(200).json(data);
 
   } catch (error) {
-    console.error('Proxy request failed:', error);
+    log.error('proxy_failed', { path: tmdbPath, error });
     res.status(500).json({ 
       error: 'Failed to proxy request to TMDb', 
-      details: error.message 
+      details: redactString(error.message)
     });
   }
 };
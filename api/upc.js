@@ -1,14 +1,24 @@
 // api/upc.js - New Vercel Serverless Function for UPC Lookups
 
-// This function acts as a secure proxy to the upcitemdb.com API.
+const { redactString } = require('./_lib/redact');
+const { createRequestLogger } = require('./_lib/log');
+const { getClientId } = require('./_lib/quota');
+const { lookupUpc } = require('./_lib/upc-lookup');
+const { BarcodeUtils } = require('../barcodes.js');
+
+// This function acts as a secure proxy to our chain of UPC providers
+// (see _lib/upc-providers.js) and returns one normalized product shape.
 // It prevents exposing API keys on the client-side and bypasses CORS issues.
 module.exports = async (req, res) => {
+    const log = createRequestLogger('upc');
+
     // Set CORS headers to allow requests from your app's domain.
     // For development, '*' is okay, but for production, you should restrict this
     // to your actual domain, e.g., 'https://your-app-name.vercel.app'.
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining');
   
     // Handle preflight OPTIONS requests for CORS.
     if (req.method === 'OPTIONS') {
@@ -23,53 +33,60 @@ module.exports = async (req, res) => {
   
     // Extract the 'upc' code from the query string of the request URL.
     // Example request: /api/upc?upc=123456789012
-    const { upc } = req.query;
-  
-    // Validate that a UPC was provided.
-    if (!upc) {
+    if (!req.query.upc) {
       return res.status(400).json({ error: 'UPC code is required.' });
     }
-  
-    // The base URL for the UPC Item DB API (trial version).
-    const UPC_API_URL = `https://api.upcitemdb.com/prod/trial/lookup?upc=${upc}`;
+
+    // Look up the canonical form, so UPC-A and EAN-13 spellings share quota and provider caches
+    const upc = BarcodeUtils.canonicalize(req.query.upc);
+    if (!upc) {
+      return res.status(400).json({ error: `Invalid barcode: ${req.query.upc}`, code: 'INVALID_BARCODE' });
+    }
   
     try {
-      console.log(`Proxying request for UPC: ${upc} to ${UPC_API_URL}`);
-  
-      // Use fetch to make the request to the external UPC API.
-      const apiResponse = await fetch(UPC_API_URL, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          // It's good practice to set a User-Agent.
-          'User-Agent': 'the-library-sale-App/1.0' 
-        }
-      });
-  
-      // Check if the request to the external API was successful.
-      if (!apiResponse.ok) {
-        const errorText = await apiResponse.text();
-        console.error(`UPC API returned an error: ${apiResponse.status}`);
-        // Forward the error status and message to the client.
-        return res.status(apiResponse.status).json({
-          error: `UPC API Error: ${apiResponse.statusText}`,
-          details: errorText
+      const result = await lookupUpc(upc, getClientId(req), log);
+
+      if (result.quota) {
+        res.setHeader('X-RateLimit-Limit', String(result.quota.limit));
+        res.setHeader('X-RateLimit-Remaining', String(result.quota.remaining));
+      }
+
+      if (result.outcome === 'found') {
+        // Send the successful response back to the client.
+        return res.status(200).json({ code: 'OK', product: result.product, attempts: result.attempts });
+      }
+
+      // Pass rate limits on with a Retry-After the client can honour.
+      if (result.outcome === 'rate_limited') {
+        res.setHeader('Retry-After', String(result.retryAfterSec));
+        return res.status(429).json({
+          error: 'UPC lookup quota exceeded. Please wait before scanning more.',
+          code: 'QUOTA_EXCEEDED',
+          retryAfter: result.retryAfterSec,
+          attempts: result.attempts
         });
       }
-  
-      // Parse the JSON response from the UPC API.
-      const data = await apiResponse.json();
-      
-      console.log(`Successfully fetched data for UPC: ${upc}`);
-      // Send the successful response back to the client.
-      res.status(200).json(data);
+
+      if (result.outcome === 'error') {
+        return res.status(502).json({
+          error: 'UPC providers failed to respond.',
+          code: 'UPSTREAM_ERROR',
+          attempts: result.attempts
+        });
+      }
+
+      return res.status(404).json({
+        error: 'No product found for this barcode',
+        code: 'NOT_FOUND',
+        attempts: result.attempts
+      });
   
     } catch (error) {
-      // Handle any network errors or other exceptions during the fetch.
-      console.error('Error proxying UPC request:', error);
+      // Handle any network errors or other exceptions during the lookup.
+      log.error('proxy_failed', { upc, error });
       res.status(500).json({
         error: 'Failed to proxy request to UPC API.',
-        details: error.message
+        details: redactString(error.message)
       });
     }
   };
@@ -0,0 +1,137 @@
+// barcodes.js - UPC/EAN check digits and canonical forms shared by the browser and api/ functions
+// Pure functions only, so this file loads with a plain <script> tag (before utils.js, which
+// exposes it as LibraryUtils.barcodes) or with require() in Node.
+
+/**
+ * BARCODE UTILITIES
+ * Check digits and one canonical form per product, so a disc scanned as UPC-A, as EAN-13
+ * with a leading 0, as a zero-padded GTIN-14 or as UPC-E is always stored under one code.
+ * Canonical form is the shortest GTIN: UPC-A (12) for U.S. codes, EAN-13 otherwise, EAN-8
+ * as is, and GTIN-14 only for case codes whose indicator digit isn't 0.
+ */
+const BarcodeUtils = {
+    /**
+     * GS1 mod-10 check digit for the digits before it (same for GTIN-8/12/13/14)
+     * @param {string} body - Digits without the check digit
+     * @returns {number} Check digit
+     */
+    checkDigit: (body) => {
+        let sum = 0;
+        for (let i = 0; i < body.length; i++) {
+            // Weights alternate 3, 1, 3... starting from the rightmost digit
+            sum += Number(body[body.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+        }
+        return (10 - (sum % 10)) % 10;
+    },
+
+    /**
+     * Whether the last digit is the correct check digit for the rest
+     * @param {string} code - Digits including the check digit
+     * @returns {boolean}
+     */
+    hasValidCheckDigit: (code) => {
+        return /^\d{8,14}$/.test(code) && BarcodeUtils.checkDigit(code.slice(0, -1)) === Number(code.slice(-1));
+    },
+
+    /**
+     * Expand a zero-suppressed UPC-E code to its UPC-A equivalent
+     * @param {string} upcE - 8 digits: number system (0 or 1), 6 data digits, check digit
+     * @returns {string|null} 12-digit UPC-A, or null if it isn't a valid UPC-E
+     */
+    expandUPCE: (upcE) => {
+        if (!/^[01]\d{7}$/.test(upcE)) return null;
+
+        const numberSystem = upcE[0];
+        const [d1, d2, d3, d4, d5, d6] = upcE.slice(1, 7);
+        let body;
+        if (d6 <= '2') body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+        else if (d6 === '3') body = `${d1}${d2}${d3}00000${d4}${d5}`;
+        else if (d6 === '4') body = `${d1}${d2}${d3}${d4}00000${d5}`;
+        else body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+
+        const upcA = `${numberSystem}${body}${upcE[7]}`;
+        return BarcodeUtils.hasValidCheckDigit(upcA) ? upcA : null;
+    },
+
+    /* Leading zeros pad shorter GTINs without changing the check digit */
+    _shortestGTIN: (gtin) => {
+        let code = gtin;
+        while (code.length > 12 && code[0] === '0') {
+            code = code.slice(1);
+        }
+        return code;
+    },
+
+    /**
+     * Canonical form of a scanned or typed barcode, or null if it isn't a valid UPC/EAN/GTIN
+     * (wrong length or check digit - usually a misread or a typo). Spaces and dashes are
+     * ignored, and a 2 or 5 digit add-on after a UPC-A/EAN-13 is dropped.
+     * @param {string} barcode - Barcode as scanned or typed
+     * @param {string|null} format - Symbology reported by the scanner ('upc_e', 'ean_8', ...),
+     *   which settles 8-digit codes that are valid as both UPC-E and EAN-8
+     * @returns {string|null} Canonical barcode
+     */
+    canonicalize: (barcode, format = null) => {
+        const digits = String(barcode ?? '').replace(/[\s-]/g, '');
+        if (!/^\d+$/.test(digits)) return null;
+
+        if (digits.length === 8) {
+            // Without a format, a code that checks out as both stays an EAN-8 rather than
+            // being expanded into what may be a different product
+            const isEAN8 = format !== 'upc_e' && BarcodeUtils.hasValidCheckDigit(digits);
+            const upcA = format === 'ean_8' || (isEAN8 && !format) ? null : BarcodeUtils.expandUPCE(digits);
+            return upcA || (isEAN8 ? digits : null);
+        }
+
+        if (digits.length >= 12 && digits.length <= 14 && BarcodeUtils.hasValidCheckDigit(digits)) {
+            return BarcodeUtils._shortestGTIN(digits);
+        }
+
+        // UPC-A/EAN-13 followed by a 2 or 5 digit supplement (issue number, price)
+        for (const mainLength of [13, 12]) {
+            const main = digits.slice(0, mainLength);
+            if ([2, 5].includes(digits.length - mainLength) && BarcodeUtils.hasValidCheckDigit(main)) {
+                return BarcodeUtils._shortestGTIN(main);
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Every zero-padded spelling of a barcode's canonical form, up to GTIN-14
+     * (e.g. 012345678905, 0012345678905, 00012345678905), for matching older records
+     * @param {string} barcode
+     * @returns {string[]} Empty if the barcode isn't valid
+     */
+    equivalentForms: (barcode) => {
+        const canonical = BarcodeUtils.canonicalize(barcode);
+        if (!canonical) return [];
+        const forms = [canonical];
+        let code = canonical;
+        while (code.length < 14) {
+            code = `0${code}`;
+            forms.push(code);
+        }
+        return forms;
+    },
+
+    /**
+     * Whether two barcodes name the same product (e.g. UPC-A and its EAN-13 form)
+     * @param {string} a
+     * @param {string} b
+     * @returns {boolean}
+     */
+    isSameProduct: (a, b) => {
+        const canonical = BarcodeUtils.canonicalize(a);
+        return canonical !== null && canonical === BarcodeUtils.canonicalize(b);
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.BarcodeUtils = BarcodeUtils;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BarcodeUtils };
+}
@@ -1,370 +1,861 @@
 /**
- * cache.js - A client-side caching system using localStorage.
- * Implements an LRU (Least Recently Used) eviction policy when the size limit is reached.
+ * cache.js - Persistent client-side cache backed by IndexedDB.
+ * Every cache in the app shares one store: entries live in namespaces with their own TTL,
+ * the whole store has a single byte budget, and the least recently used entries are evicted
+ * first. Falls back to memory when IndexedDB is unavailable (private browsing, old browsers).
+ * Removals and writes are broadcast to the other open tabs, which drop the affected entries
+ * and fire INVALIDATED_EVENT so pages holding that data in memory can refresh it.
  */
 
-class CacheManager {
-    /**
-     * Initializes the CacheManager.
-     * @param {string} prefix - A prefix for all localStorage keys to avoid collisions.
-     * @param {number} maxSizeMB - The maximum size of the cache in megabytes.
-     * @param {number} defaultExpiryHours - The default cache item expiry time in hours.
-     */
-    constructor(prefix = 'appCache_', maxSizeMB = 5, defaultExpiryHours = 24) {
-        this.prefix = prefix;
-        this.maxSizeBytes = maxSizeMB * 1024 * 1024;
-        this.defaultExpiryMs = defaultExpiryHours * 60 * 60 * 1000;
-        this.stats = {
-            hits: 0,
-            misses: 0,
-            sets: 0,
-            evictions: 0
-        };
-        console.log(`CacheManager initialized with ${maxSizeMB}MB limit and ${defaultExpiryHours}hr expiry.`);
-    }
+const AppCache = {
+    DB_NAME: 'tiny_lizard_cache',
+    DB_VERSION: 1,
+    MAX_BYTES: 25 * 1024 * 1024, // Budget for the whole store; eviction trims back to 90%
+    MAX_ENTRY_FRACTION: 0.25,    // A single entry may use at most this share of the budget
+    FLUSH_DELAY_MS: 2000,        // Last-used timestamps are written back in batches
+    CHANNEL_NAME: 'tiny_lizard_cache',
+    BROADCAST_STORAGE_KEY: 'appCache_broadcast', // storage-event fallback without BroadcastChannel
+    COUNTERS_STORAGE_KEY: 'appCache_counters',   // hit/miss totals across pages and sessions
+    INVALIDATED_EVENT: 'appcache:invalidated',
+
+    // Default TTL per namespace; set() can override it per entry
+    NAMESPACES: {
+        lookup: { ttlHours: 24 },       // UPC products and TMDB searches/details (MediaLookupUtils)
+        movies: { ttlHours: 48 },       // Firestore movie docs by doc id and TMDB id (MovieCache)
+        interactions: { ttlHours: 1 },  // Firestore movieInteractions (MovieCache)
+        tmdb_api: { ttlHours: 24 },     // TMDB details fetched by add-movie.html
+        collection: { ttlHours: 1 },    // Owned-media snapshot for my-stacks.html (MovieCache)
+        lists: { ttlHours: 1 }          // Public lists with poster previews (ListCache)
+    },
 
-    /**
-     * Generates the full localStorage key for a cache item.
-     * @param {string} cacheType - The category of the cache (e.g., 'search', 'details').
-     * @param {string} key - The specific key for the item.
-     * @returns {string} The full localStorage key.
-     */
-    _getStorageKey(cacheType, key) {
-        return `${this.prefix}${cacheType}_${key}`;
-    }
+    // localStorage prefixes written by the caches this store replaced
+    LEGACY_PREFIXES: [
+        'media_lookup_cache_', 'movie_cache_', 'user_cache_', 'tmdb_api_cache_', 'bulk_scan_cache_',
+        'movie_tmdb_', 'movie_doc_', 'movie_interaction_', 'dvd_cache_', 'dvd_collection_', 'list_'
+    ],
+    LEGACY_PURGE_VERSION: '2', // Bump when a prefix is added so existing browsers purge it too
+
+    db: null,
+    readyPromise: null,
+    meta: null,       // id -> { id, namespace, key, size, created, lastUsed, expires }
+    memory: null,     // id -> JSON string, only when IndexedDB is unavailable
+    counters: {},     // namespace -> { hits, misses, sets, evictions } not yet added to the stored totals
+    dirty: new Set(), // ids whose lastUsed changed since the last flush
+    flushTimer: null,
+    counterTimer: null,
+    channel: null,
+
+    /* Opens the database and loads entry metadata; safe to call repeatedly */
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = this._open().then(async (db) => {
+                this.db = db;
+                this.meta = new Map();
+                if (db) {
+                    try {
+                        const records = await this._transaction(['meta'], 'readonly', tx => tx.objectStore('meta').getAll());
+                        (records || []).forEach(record => this.meta.set(record.id, record));
+                    } catch (error) {
+                        console.warn('Cache metadata unreadable, caching in memory:', error);
+                        this.db = null;
+                    }
+                }
+                if (!this.db) this.memory = new Map();
+
+                this._listen();
+                this._purgeLegacyStorage();
+                this._removeIds([...this.meta.values()].filter(entry => entry.expires <= Date.now()).map(entry => entry.id));
+                return this;
+            });
+        }
+        return this.readyPromise;
+    },
+
+    _open() {
+        return new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
+
+            let request;
+            try {
+                request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            } catch (error) {
+                console.warn('IndexedDB unavailable, caching in memory:', error);
+                return resolve(null);
+            }
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('entries')) db.createObjectStore('entries');
+                if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, caching in memory:', request.error);
+                resolve(null);
+            };
+        });
+    },
 
     /**
-     * Retrieves the metadata index for a given cache type.
-     * The index tracks item sizes and last-used timestamps for the LRU policy.
-     * @param {string} cacheType - The category of the cache.
-     * @returns {object} The cache index.
+     * Runs one transaction; `work` issues its requests synchronously and may return the
+     * request whose result the promise resolves with once the transaction commits.
      */
-    _getCacheIndex(cacheType) {
-        const indexKey = `${this.prefix}_index_${cacheType}`;
+    _transaction(storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            const request = work(tx);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Cache transaction aborted'));
+        });
+    },
+
+    _id(namespace, key) {
+        return `${namespace}:${key}`;
+    },
+
+    _count(namespace, counter) {
+        if (!this.counters[namespace]) this.counters[namespace] = { hits: 0, misses: 0, sets: 0, evictions: 0 };
+        this.counters[namespace][counter]++;
+
+        if (!this.counterTimer) {
+            this.counterTimer = setTimeout(() => this._flushCounters(), this.FLUSH_DELAY_MS);
+        }
+    },
+
+    _storedCounters() {
         try {
-            const index = localStorage.getItem(indexKey);
-            return index ? JSON.parse(index) : {};
-        } catch (e) {
-            console.error("Error reading cache index:", e);
+            return JSON.parse(localStorage.getItem(this.COUNTERS_STORAGE_KEY)) || {};
+        } catch (error) {
             return {};
         }
-    }
+    },
+
+    /* Adds this page's counts to the stored totals (tabs add their own, so nothing is lost) */
+    _flushCounters() {
+        clearTimeout(this.counterTimer);
+        this.counterTimer = null;
+        if (Object.keys(this.counters).length === 0) return;
+
+        const totals = this._storedCounters();
+        Object.entries(this.counters).forEach(([namespace, counts]) => {
+            const total = totals[namespace] || { hits: 0, misses: 0, sets: 0, evictions: 0 };
+            Object.keys(counts).forEach(counter => { total[counter] = (total[counter] || 0) + counts[counter]; });
+            totals[namespace] = total;
+        });
+        this.counters = {};
 
-    /**
-     * Saves the metadata index for a given cache type.
-     * @param {string} cacheType - The category of the cache.
-     * @param {object} index - The cache index to save.
-     */
-    _saveCacheIndex(cacheType, index) {
-        const indexKey = `${this.prefix}_index_${cacheType}`;
         try {
-            localStorage.setItem(indexKey, JSON.stringify(index));
-        } catch (e) {
-            console.error("Error saving cache index:", e);
+            localStorage.setItem(this.COUNTERS_STORAGE_KEY, JSON.stringify(totals));
+        } catch (error) {
+            console.warn('Could not save cache counters:', error);
         }
-    }
+    },
+
+    /* Zeroes the stored hit/miss totals for one namespace, or all */
+    resetCounters(namespace = null) {
+        this._flushCounters();
+        const totals = namespace ? this._storedCounters() : {};
+        if (namespace) delete totals[namespace];
+        localStorage.setItem(this.COUNTERS_STORAGE_KEY, JSON.stringify(totals));
+    },
 
     /**
-     * Retrieves an item from the cache.
-     * @param {string} cacheType - The category of the cache.
-     * @param {string} key - The key of the item to retrieve.
-     * @returns {any|null} The cached data, or null if not found or expired.
+     * Reads an entry, or null when it is missing or expired.
+     * @param {string} namespace - Cache namespace (see NAMESPACES)
+     * @param {string} key - Entry key within the namespace
+     * @returns {Promise<any|null>}
      */
-    get(cacheType, key) {
-        const storageKey = this._getStorageKey(cacheType, key);
-        const rawItem = localStorage.getItem(storageKey);
-
-        if (!rawItem) {
-            this.stats.misses++;
+    async get(namespace, key) {
+        await this.ready();
+        const id = this._id(namespace, key);
+        const entry = this.meta.get(id);
+
+        if (!entry || entry.expires <= Date.now()) {
+            if (entry) this._removeIds([id]);
+            this._count(namespace, 'misses');
             return null;
         }
 
         try {
-            const item = JSON.parse(rawItem);
-
-            // Check for expiration
-            if (Date.now() > item.expiry) {
-                console.log(`Cache item '${key}' expired. Removing.`);
-                this.remove(cacheType, key);
-                this.stats.misses++;
+            const json = this.db
+                ? await this._transaction(['entries'], 'readonly', tx => tx.objectStore('entries').get(id))
+                : this.memory.get(id);
+
+            // Another tab may have evicted it since this page loaded its metadata
+            if (json === undefined) {
+                this.meta.delete(id);
+                this._count(namespace, 'misses');
                 return null;
             }
 
-            // Update lastUsed timestamp for LRU
-            const index = this._getCacheIndex(cacheType);
-            if (index[key]) {
-                index[key].lastUsed = Date.now();
-                this._saveCacheIndex(cacheType, index);
-            }
-            
-            this.stats.hits++;
-            console.log(`Cache hit for '${key}' in '${cacheType}'.`);
-            return item.data;
-        } catch (e) {
-            console.error("Error parsing cached item:", e);
-            this.remove(cacheType, key); // Remove corrupted item
+            entry.lastUsed = Date.now();
+            this._scheduleFlush(id);
+            this._count(namespace, 'hits');
+            return JSON.parse(json);
+        } catch (error) {
+            console.warn(`Cache read failed for ${id}:`, error);
+            this._removeIds([id]);
+            this._count(namespace, 'misses');
             return null;
         }
-    }
+    },
 
     /**
-     * Adds or updates an item in the cache.
-     * @param {string} cacheType - The category of the cache.
-     * @param {string} key - The key of the item to set.
-     * @param {any} data - The data to store.
-     * @param {number|null} expiryHours - Optional custom expiry in hours.
+     * Stores an entry (JSON-serializable data), evicting least recently used entries if
+     * the store goes over budget. Never throws: a failed write just means a later miss.
+     * @param {string} namespace - Cache namespace (see NAMESPACES)
+     * @param {string} key - Entry key within the namespace
+     * @param {any} data - Data to store
+     * @param {number|null} ttlHours - Overrides the namespace TTL
+     * @returns {Promise<boolean>} Whether the entry was stored
      */
-    set(cacheType, key, data, expiryHours = null) {
-        const storageKey = this._getStorageKey(cacheType, key);
-        const expiry = Date.now() + (expiryHours ? expiryHours * 60 * 60 * 1000 : this.defaultExpiryMs);
+    async set(namespace, key, data, ttlHours = null) {
+        return (await this.setMany(namespace, [{ key, data }], ttlHours)) === 1;
+    },
 
-        const item = {
-            data: data,
-            expiry: expiry,
-        };
+    /**
+     * Stores several entries of one namespace in a single transaction and broadcast,
+     * e.g. a whole Firestore snapshot. Never throws, like set().
+     * @param {string} namespace - Cache namespace (see NAMESPACES)
+     * @param {{key: string, data: any}[]} items - Entries to store
+     * @param {number|null} ttlHours - Overrides the namespace TTL
+     * @returns {Promise<number>} How many entries were stored
+     */
+    async setMany(namespace, items, ttlHours = null) {
+        await this.ready();
+        const now = Date.now();
+        const hours = ttlHours || (this.NAMESPACES[namespace] && this.NAMESPACES[namespace].ttlHours) || 24;
+
+        const writes = [];
+        for (const { key, data } of items) {
+            const id = this._id(namespace, key);
+            let json;
+            try {
+                json = JSON.stringify(data);
+            } catch (error) {
+                console.warn(`Cache entry ${id} is not serializable:`, error);
+                continue;
+            }
+            if (json === undefined) continue;
+
+            const size = new Blob([json]).size;
+            if (size > this.MAX_BYTES * this.MAX_ENTRY_FRACTION) {
+                console.warn(`Cache entry ${id} is too large (${size} bytes), not caching`);
+                continue;
+            }
+            writes.push({ json, entry: { id, namespace, key: String(key), size, created: now, lastUsed: now, expires: now + hours * 60 * 60 * 1000 } });
+        }
+        if (writes.length === 0) return 0;
 
         try {
-            const stringifiedItem = JSON.stringify(item);
-            const itemSize = stringifiedItem.length;
-            
-            const index = this._getCacheIndex(cacheType);
-            index[key] = {
-                size: itemSize,
-                lastUsed: Date.now()
-            };
+            if (this.db) {
+                await this._transaction(['entries', 'meta'], 'readwrite', tx => {
+                    writes.forEach(({ json, entry }) => {
+                        tx.objectStore('entries').put(json, entry.id);
+                        tx.objectStore('meta').put(entry);
+                    });
+                });
+            } else {
+                writes.forEach(({ json, entry }) => this.memory.set(entry.id, json));
+            }
+            writes.forEach(({ entry }) => {
+                this.meta.set(entry.id, entry);
+                this._count(namespace, 'sets');
+            });
+            if (this.db) this._broadcast({ type: 'set', entries: writes.map(({ entry }) => entry) });
+        } catch (error) {
+            console.warn(`Cache write failed for ${writes.length} ${namespace} entries:`, error);
+            if (error && error.name === 'QuotaExceededError') {
+                await this._evict(this._totalBytes() / 2);
+            }
+            return 0;
+        }
 
-            localStorage.setItem(storageKey, stringifiedItem);
-            this._saveCacheIndex(cacheType, index);
-            this.stats.sets++;
-            console.log(`Cached item '${key}' in '${cacheType}'. Size: ${itemSize} bytes.`);
+        await this._evict(this.MAX_BYTES);
+        return writes.length;
+    },
 
-            // Enforce size limits after adding the new item
-            this._enforceSizeLimit();
+    /* Removes one entry, here and in every other open tab */
+    async remove(namespace, key) {
+        await this.ready();
+        await this._removeIds([this._id(namespace, key)]);
+        this._broadcast({ type: 'invalidate', namespace, keys: [String(key)] });
+    },
 
-        } catch (e) {
-            console.error("Error setting cache item:", e);
-            // If quota is exceeded, try to make space and retry
-            if (e.name === 'QuotaExceededError') {
-                console.warn("LocalStorage quota exceeded. Attempting to clear space...");
-                this._enforceSizeLimit(true); // Force eviction
-                try {
-                    localStorage.setItem(storageKey, JSON.stringify(item));
-                } catch (e2) {
-                    console.error("Failed to set cache item even after cleanup:", e2);
-                }
-            }
+    /**
+     * Removes every entry in a namespace whose key passes the predicate, here and in every other open tab.
+     * @param {string} namespace - Cache namespace
+     * @param {function} predicate - Called with the entry key
+     * @returns {Promise<number>} How many entries were removed
+     */
+    async removeWhere(namespace, predicate) {
+        await this.ready();
+        const entries = [...this.meta.values()].filter(entry => entry.namespace === namespace && predicate(entry.key));
+        await this._removeIds(entries.map(entry => entry.id));
+        if (entries.length > 0) {
+            this._broadcast({ type: 'invalidate', namespace, keys: entries.map(entry => entry.key) });
         }
-    }
+        return entries.length;
+    },
+
+    /* Clears one namespace, or everything when namespace is null */
+    async clear(namespace = null) {
+        await this.ready();
+        const ids = [...this.meta.values()]
+            .filter(entry => !namespace || entry.namespace === namespace)
+            .map(entry => entry.id);
+        await this._removeIds(ids);
+        this._broadcast({ type: 'invalidate', namespace, keys: null });
+        console.log(`🧹 Cleared ${ids.length} cache entries${namespace ? ` in '${namespace}'` : ''}`);
+    },
 
     /**
-     * Removes an item from the cache.
-     * @param {string} cacheType - The category of the cache.
-     * @param {string} key - The key of the item to remove.
+     * Metadata of every live entry in a namespace (no data), oldest first.
+     * @param {string} namespace - Cache namespace
+     * @returns {Promise<object[]>} { key, size, created, lastUsed, expires }
      */
-    remove(cacheType, key) {
-        localStorage.removeItem(this._getStorageKey(cacheType, key));
-        const index = this._getCacheIndex(cacheType);
-        delete index[key];
-        this._saveCacheIndex(cacheType, index);
-    }
+    async entries(namespace) {
+        await this.ready();
+        return [...this.meta.values()]
+            .filter(entry => entry.namespace === namespace && entry.expires > Date.now())
+            .sort((a, b) => a.created - b.created)
+            .map(({ key, size, created, lastUsed, expires }) => ({ key, size, created, lastUsed, expires }));
+    },
 
     /**
-     * Enforces the cache size limit using an LRU eviction strategy.
-     * @param {boolean} force - If true, runs eviction even if size is not over limit.
+     * Usage per namespace: entry count, bytes, oldest/newest entry and hit/miss counters
+     * (totals across pages since the last resetCounters).
+     * @returns {Promise<object>} { backend, totalBytes, maxBytes, namespaces: { [name]: {...} } }
      */
-    _enforceSizeLimit(force = false) {
-        let totalSize = this.getTotalSize();
-        if (!force && totalSize < this.maxSizeBytes) {
-            return;
+    async stats() {
+        await this.ready();
+        this._flushCounters();
+        const totals = this._storedCounters();
+        const namespaces = {};
+        const ensure = name => {
+            if (!namespaces[name]) {
+                namespaces[name] = {
+                    count: 0, bytes: 0, oldest: null, oldestKey: null, newest: null, newestKey: null,
+                    hits: 0, misses: 0, sets: 0, evictions: 0,
+                    ...totals[name]
+                };
+            }
+            return namespaces[name];
+        };
+
+        Object.keys(this.NAMESPACES).forEach(ensure);
+        Object.keys(totals).forEach(ensure);
+        for (const entry of this.meta.values()) {
+            const stats = ensure(entry.namespace);
+            stats.count++;
+            stats.bytes += entry.size;
+            if (stats.oldest === null || entry.created < stats.oldest) {
+                stats.oldest = entry.created;
+                stats.oldestKey = entry.key;
+            }
+            if (stats.newest === null || entry.created > stats.newest) {
+                stats.newest = entry.created;
+                stats.newestKey = entry.key;
+            }
         }
+        Object.values(namespaces).forEach(stats => {
+            const lookups = stats.hits + stats.misses;
+            stats.hitRate = lookups > 0 ? stats.hits / lookups : null;
+        });
 
-        console.log(`Current cache size (${(totalSize / 1024 / 1024).toFixed(2)}MB) exceeds limit. Enforcing LRU eviction...`);
+        return {
+            backend: this.db ? 'indexeddb' : 'memory',
+            totalBytes: this._totalBytes(),
+            maxBytes: this.MAX_BYTES,
+            namespaces
+        };
+    },
 
-        // Gather all items from all indexes
-        let allItems = [];
-        const allIndexKeys = Object.keys(localStorage).filter(k => k.startsWith(`${this.prefix}_index_`));
-        
-        allIndexKeys.forEach(indexKey => {
-            const cacheType = indexKey.replace(`${this.prefix}_index_`, '');
-            const index = this._getCacheIndex(cacheType);
-            Object.keys(index).forEach(key => {
-                allItems.push({
-                    cacheType,
-                    key,
-                    lastUsed: index[key].lastUsed,
-                    size: index[key].size
+    /**
+     * Every live entry of a namespace with its data, for offline inspection.
+     * @param {string} namespace - Cache namespace
+     * @returns {Promise<object>} { namespace, exportedAt, stats, entries: [{ key, size, created, lastUsed, expires, data }] }
+     */
+    async exportNamespace(namespace) {
+        const [all, entries] = await Promise.all([this.stats(), this.entries(namespace)]);
+        const withData = [];
+        for (const entry of entries) {
+            const id = this._id(namespace, entry.key);
+            const json = this.db
+                ? await this._transaction(['entries'], 'readonly', tx => tx.objectStore('entries').get(id))
+                : this.memory.get(id);
+            if (json !== undefined) withData.push({ ...entry, data: JSON.parse(json) });
+        }
+
+        return {
+            namespace,
+            exportedAt: new Date().toISOString(),
+            stats: all.namespaces[namespace] || null,
+            entries: withData
+        };
+    },
+
+    _totalBytes() {
+        let total = 0;
+        for (const entry of this.meta.values()) total += entry.size;
+        return total;
+    },
+
+    /* Drops expired entries, then least recently used ones until the store fits in `limit` bytes */
+    async _evict(limit) {
+        let total = this._totalBytes();
+        if (total <= limit) return;
+
+        const target = Math.min(limit, this.MAX_BYTES * 0.9);
+        const now = Date.now();
+        const candidates = [...this.meta.values()].sort((a, b) => {
+            const aExpired = a.expires <= now;
+            const bExpired = b.expires <= now;
+            if (aExpired !== bExpired) return aExpired ? -1 : 1;
+            return a.lastUsed - b.lastUsed;
+        });
+
+        const evicted = [];
+        while (total > target && candidates.length > 0) {
+            const entry = candidates.shift();
+            total -= entry.size;
+            evicted.push(entry.id);
+            this._count(entry.namespace, 'evictions');
+        }
+
+        console.log(`🗑️ Cache over budget, evicting ${evicted.length} least recently used entries`);
+        await this._removeIds(evicted);
+    },
+
+    async _removeIds(ids) {
+        if (ids.length === 0) return;
+        ids.forEach(id => {
+            this.meta.delete(id);
+            this.dirty.delete(id);
+        });
+
+        if (!this.db) {
+            ids.forEach(id => this.memory.delete(id));
+            return;
+        }
+        try {
+            await this._transaction(['entries', 'meta'], 'readwrite', tx => {
+                ids.forEach(id => {
+                    tx.objectStore('entries').delete(id);
+                    tx.objectStore('meta').delete(id);
                 });
             });
+        } catch (error) {
+            console.warn('Cache delete failed:', error);
+        }
+    },
+
+    _scheduleFlush(id) {
+        if (!this.db) return;
+        this.dirty.add(id);
+        if (this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            const entries = [...this.dirty].map(dirtyId => this.meta.get(dirtyId)).filter(Boolean);
+            this.dirty.clear();
+            this._transaction(['meta'], 'readwrite', tx => {
+                entries.forEach(entry => tx.objectStore('meta').put(entry));
+            }).catch(error => console.warn('Cache flush failed:', error));
+        }, this.FLUSH_DELAY_MS);
+    },
+
+    /**
+     * Subscribes to invalidations made in other tabs.
+     * @param {string|null} namespace - Namespace to watch, or null for all
+     * @param {function} callback - Called with { namespace, keys }; keys is null when the
+     *   whole namespace (or, with namespace null, the whole cache) was cleared
+     * @returns {function} Unsubscribes
+     */
+    onInvalidate(namespace, callback) {
+        const listener = (event) => {
+            const detail = event.detail;
+            if (namespace && detail.namespace && detail.namespace !== namespace) return;
+            callback(detail);
+        };
+        window.addEventListener(this.INVALIDATED_EVENT, listener);
+        return () => window.removeEventListener(this.INVALIDATED_EVENT, listener);
+    },
+
+    _listen() {
+        if (typeof window === 'undefined' || this.channel) return;
+        window.addEventListener('pagehide', () => this._flushCounters());
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+            this.channel.onmessage = (event) => this._receive(event.data);
+        } else {
+            // Older Safari: localStorage writes reach the other tabs as storage events
+            this.channel = { postMessage: (message) => {
+                try {
+                    localStorage.setItem(this.BROADCAST_STORAGE_KEY, JSON.stringify({ ...message, nonce: Math.random() }));
+                } catch (error) {
+                    console.warn('Cache broadcast failed:', error);
+                }
+            } };
+            window.addEventListener('storage', (event) => {
+                if (event.key === this.BROADCAST_STORAGE_KEY && event.newValue) {
+                    this._receive(JSON.parse(event.newValue));
+                }
+            });
+        }
+    },
+
+    _broadcast(message) {
+        if (this.channel) this.channel.postMessage(message);
+    },
+
+    /* Applies another tab's change; the shared IndexedDB is already up to date, only metadata lags */
+    _receive(message) {
+        if (!message || !this.meta) return;
+
+        if (message.type === 'set') {
+            // Memory-backed tabs don't share data, so there's nothing to point at
+            if (this.db) (message.entries || [message.entry]).forEach(entry => this.meta.set(entry.id, entry));
+            return;
+        }
+        if (message.type !== 'invalidate') return;
+
+        const { namespace, keys } = message;
+        const ids = keys
+            ? keys.map(key => this._id(namespace, key))
+            : [...this.meta.values()].filter(entry => !namespace || entry.namespace === namespace).map(entry => entry.id);
+        ids.forEach(id => {
+            this.meta.delete(id);
+            this.dirty.delete(id);
+            if (this.memory) this.memory.delete(id);
         });
 
-        // Sort by least recently used
-        allItems.sort((a, b) => a.lastUsed - b.lastUsed);
-
-        // Evict items until size is below the limit
-        while (totalSize > this.maxSizeBytes && allItems.length > 0) {
-            const itemToEvict = allItems.shift();
-            if (itemToEvict) {
-                console.log(`Evicting '${itemToEvict.key}' (last used: ${new Date(itemToEvict.lastUsed).toISOString()})`);
-                this.remove(itemToEvict.cacheType, itemToEvict.key);
-                totalSize -= itemToEvict.size;
-                this.stats.evictions++;
+        console.log(`📡 Cache invalidated in another tab: ${namespace || 'all'}${keys ? ` (${keys.length})` : ''}`);
+        window.dispatchEvent(new CustomEvent(this.INVALIDATED_EVENT, { detail: { namespace, keys } }));
+    },
+
+    /* One-time cleanup of the localStorage caches this store replaced */
+    _purgeLegacyStorage() {
+        try {
+            if (typeof localStorage === 'undefined' || localStorage.getItem('appCache_legacyPurged') === this.LEGACY_PURGE_VERSION) return;
+            for (let i = localStorage.length - 1; i >= 0; i--) {
+                const key = localStorage.key(i);
+                if (key && this.LEGACY_PREFIXES.some(prefix => key.startsWith(prefix))) {
+                    localStorage.removeItem(key);
+                }
             }
+            localStorage.setItem('appCache_legacyPurged', this.LEGACY_PURGE_VERSION);
+        } catch (error) {
+            console.warn('Legacy cache cleanup failed:', error);
         }
     }
-    
+};
+
+/**
+ * Namespaced view of AppCache with the CacheManager API the app already used:
+ * get/set/remove/clear by (cacheType, key). All methods are async.
+ */
+class CacheManager {
     /**
-     * Calculates the total size of all managed cache items.
-     * @returns {number} The total size in bytes.
+     * @param {string} namespace - AppCache namespace (see AppCache.NAMESPACES)
+     * @param {number|null} defaultExpiryHours - Entry TTL; defaults to the namespace's
      */
-    getTotalSize() {
-        let totalSize = 0;
-        const allIndexKeys = Object.keys(localStorage).filter(k => k.startsWith(`${this.prefix}_index_`));
-        
-        allIndexKeys.forEach(indexKey => {
-            const cacheType = indexKey.replace(`${this.prefix}_index_`, '');
-            const index = this._getCacheIndex(cacheType);
-            totalSize += Object.values(index).reduce((sum, item) => sum + (item.size || 0), 0);
-        });
-        
-        return totalSize;
+    constructor(namespace, defaultExpiryHours = null) {
+        this.namespace = namespace;
+        this.defaultExpiryHours = defaultExpiryHours;
+    }
+
+    _key(cacheType, key) {
+        return `${cacheType}_${key}`;
     }
 
     /**
-     * Returns statistics about cache usage.
-     * @returns {object} An object containing cache stats.
+     * Retrieves an item from the cache.
+     * @param {string} cacheType - The category of the cache (e.g., 'search', 'details').
+     * @param {string} key - The key of the item to retrieve.
+     * @returns {Promise<any|null>} The cached data, or null if not found or expired.
      */
-    getStats() {
-        const totalSizeMB = (this.getTotalSize() / 1024 / 1024).toFixed(2);
-        return {
-            ...this.stats,
-            totalSizeMB,
-            maxSizeMB: (this.maxSizeBytes / 1024 / 1024).toFixed(2)
-        };
+    get(cacheType, key) {
+        return AppCache.get(this.namespace, this._key(cacheType, key));
     }
 
     /**
-     * Clears one or all caches managed by this instance.
+     * Adds or updates an item in the cache.
+     * @param {string} cacheType - The category of the cache.
+     * @param {string} key - The key of the item to set.
+     * @param {any} data - The data to store.
+     * @param {number|null} expiryHours - Optional custom expiry in hours.
+     * @returns {Promise<boolean>} Whether the item was stored
+     */
+    set(cacheType, key, data, expiryHours = null) {
+        return AppCache.set(this.namespace, this._key(cacheType, key), data, expiryHours || this.defaultExpiryHours);
+    }
+
+    /**
+     * Adds or updates several items of one cache type in a single write.
+     * @param {string} cacheType - The category of the cache.
+     * @param {{key: string, data: any}[]} items - The items to store.
+     * @param {number|null} expiryHours - Optional custom expiry in hours.
+     * @returns {Promise<number>} How many items were stored
+     */
+    setMany(cacheType, items, expiryHours = null) {
+        return AppCache.setMany(this.namespace, items.map(({ key, data }) => ({ key: this._key(cacheType, key), data })), expiryHours || this.defaultExpiryHours);
+    }
+
+    /* Removes an item from the cache */
+    remove(cacheType, key) {
+        return AppCache.remove(this.namespace, this._key(cacheType, key));
+    }
+
+    /* Removes every item of a cache type whose key passes the predicate */
+    removeWhere(cacheType, predicate) {
+        const prefix = `${cacheType}_`;
+        return AppCache.removeWhere(this.namespace, key => key.startsWith(prefix) && predicate(key.slice(prefix.length)));
+    }
+
+    /**
+     * Clears one cache type, or the whole namespace.
      * @param {string|null} cacheType - The specific cache to clear, or null to clear all.
      */
     clear(cacheType = null) {
-        if (cacheType) {
-            const index = this._getCacheIndex(cacheType);
-            Object.keys(index).forEach(key => this.remove(cacheType, key));
-            localStorage.removeItem(`${this.prefix}_index_${cacheType}`);
-            console.log(`Cache '${cacheType}' cleared.`);
-        } else {
-            Object.keys(localStorage).forEach(key => {
-                if (key.startsWith(this.prefix)) {
-                    localStorage.removeItem(key);
-                }
-            });
-            console.log("All caches cleared.");
-        }
+        if (!cacheType) return AppCache.clear(this.namespace);
+        return AppCache.removeWhere(this.namespace, key => key.startsWith(`${cacheType}_`));
     }
-}
 
-// Enhanced Cache Manager with localStorage
-class EnhancedCacheManager {
-    constructor(prefix = 'dvd_cache_', ttlHours = 24) {
-        this.prefix = prefix;
-        this.ttl = ttlHours * 60 * 60 * 1000; // Convert to milliseconds
+    clearAll() {
+        return this.clear();
     }
 
-    // Store data with timestamp
-    set(category, key, data) {
-        const cacheKey = `${this.prefix}${category}_${key}`;
-        const cacheData = {
-            data: data,
-            timestamp: Date.now(),
-            ttl: this.ttl
-        };
-        
-        try {
-            localStorage.setItem(cacheKey, JSON.stringify(cacheData));
-            console.log(`💾 Cached ${category}:${key}`);
-        } catch (error) {
-            console.warn('localStorage full, clearing old cache:', error);
-            this.clearOldCache();
-            // Try again after clearing
-            try {
-                localStorage.setItem(cacheKey, JSON.stringify(cacheData));
-            } catch (e) {
-                console.error('Still cannot cache after clearing:', e);
-            }
-        }
+    /* Usage statistics for this namespace (see AppCache.stats) */
+    async getStats() {
+        const stats = await AppCache.stats();
+        return stats.namespaces[this.namespace] || null;
     }
+}
 
-    // Get data if not expired
-    get(category, key) {
-        const cacheKey = `${this.prefix}${category}_${key}`;
-        
-        try {
-            const cached = localStorage.getItem(cacheKey);
-            if (!cached) return null;
+const CachedFirestore = {
+    CHANGE_EVENT: 'cachedfirestore:change',
+    MOVIE_CHUNK_SIZE: 10, // Owned movies per listener; Firestore 'in' queries take at most 10 ids
 
-            const cacheData = JSON.parse(cached);
-            const now = Date.now();
-            
-            // Check if expired
-            if (now - cacheData.timestamp > cacheData.ttl) {
-                localStorage.removeItem(cacheKey);
-                console.log(`🗑️ Expired cache removed: ${category}:${key}`);
-                return null;
+    // Opt-in realtime mode (see subscribe); null until a page opts in
+    realtime: null,
+
+    // Initialize caches
+    init() {
+        AppCache.ready().then(() => console.log('🔥 CachedFirestore initialized'));
+    },
+
+    /**
+     * Opt-in realtime mode: onSnapshot listeners on the user's movieInteractions and on the
+     * movies they own (one listener per MOVIE_CHUNK_SIZE movies) keep the cache authoritative, so reads skip TTL guesses and pages can react
+     * to onChange events instead of polling or reloading. One subscription per page.
+     * @param {string} userId - The signed-in user
+     * @returns {Promise<void>} Resolves once the first snapshots are cached
+     */
+    subscribe(userId) {
+        if (this.realtime && this.realtime.userId === userId) return this.realtime.ready;
+        this.unsubscribe();
+
+        const state = {
+            userId,
+            initialized: false,
+            interactions: new Map(),   // movieId -> interaction data
+            movies: new Map(),         // movieId -> movie data, owned movies only
+            movieListeners: new Map(), // movieId -> the chunk listening to it
+            movieChunks: [],           // { ids, stop } - one 'in' query listener per chunk
+            stopInteractions: null
+        };
+        this.realtime = state;
+
+        state.ready = new Promise((resolve, reject) => {
+            state.stopInteractions = db.collection('users').doc(userId).collection('movieInteractions')
+                .onSnapshot(async (snapshot) => {
+                    const firstMovies = this._applyInteractionChanges(state, snapshot);
+                    if (state.initialized) return;
+
+                    await Promise.all(firstMovies);
+                    state.initialized = true;
+                    console.log(`📡 Realtime cache on: ${state.interactions.size} interactions, ${state.movies.size} owned movies`);
+                    resolve();
+                }, (error) => {
+                    console.error('Realtime interaction listener failed:', error);
+                    if (this.realtime === state) this.unsubscribe();
+                    reject(error);
+                });
+        });
+        return state.ready;
+    },
+
+    /* Detaches every realtime listener; reads fall back to the TTL cache */
+    unsubscribe() {
+        const state = this.realtime;
+        if (!state) return;
+
+        if (state.stopInteractions) state.stopInteractions();
+        state.movieChunks.forEach(chunk => chunk.stop && chunk.stop());
+        this.realtime = null;
+    },
+
+    /* Whether realtime mode is on (and loaded) for this user */
+    isSubscribed(userId) {
+        return !!(this.realtime && this.realtime.userId === userId && this.realtime.initialized);
+    },
+
+    /**
+     * Listens for realtime changes while subscribed.
+     * @param {function} callback - Called with { type: 'interaction'|'movie', id, change: 'added'|'modified'|'removed', data }
+     * @returns {function} Unsubscribes the callback
+     */
+    onChange(callback) {
+        const listener = (event) => callback(event.detail);
+        window.addEventListener(this.CHANGE_EVENT, listener);
+        return () => window.removeEventListener(this.CHANGE_EVENT, listener);
+    },
+
+    /**
+     * The subscribed user's owned media straight from the live listeners, or null when not subscribed.
+     * @param {string} userId - The user
+     * @returns {{ interactions: object, movies: object }|null} Both keyed by movie ID
+     */
+    getLiveCollection(userId) {
+        if (!this.isSubscribed(userId)) return null;
+
+        const interactions = {};
+        const movies = {};
+        this.realtime.interactions.forEach((interaction, movieId) => {
+            if (!interaction.owned) return;
+            interactions[movieId] = interaction;
+            const movie = this.realtime.movies.get(movieId);
+            if (movie) movies[movieId] = { ...movie, id: movieId };
+        });
+        return { interactions, movies };
+    },
+
+    /* Mirrors interaction changes into the cache; returns first-snapshot promises of newly watched movies */
+    _applyInteractionChanges(state, snapshot) {
+        const cached = [];
+        const newlyOwned = [];
+
+        snapshot.docChanges().forEach(change => {
+            const movieId = change.doc.id;
+            const data = change.type === 'removed' ? null : change.doc.data();
+
+            if (data) {
+                state.interactions.set(movieId, data);
+                cached.push({ movieId, data });
+            } else {
+                state.interactions.delete(movieId);
+                MovieCache.invalidateUserInteraction(state.userId, movieId);
             }
 
-            console.log(`✅ Cache hit: ${category}:${key}`);
-            return cacheData.data;
-        } catch (error) {
-            console.error('Cache read error:', error);
-            localStorage.removeItem(cacheKey);
-            return null;
+            if (data && data.owned && !state.movieListeners.has(movieId)) {
+                newlyOwned.push(movieId);
+            } else if (!(data && data.owned) && state.movieListeners.has(movieId)) {
+                this._unwatchMovie(state, movieId);
+            }
+
+            if (state.initialized) this._emitChange({ type: 'interaction', id: movieId, change: change.type, data });
+        });
+
+        // One cache write per snapshot - the first one holds the whole library
+        if (cached.length > 0) MovieCache.cacheUserInteractions(state.userId, cached);
+
+        // The collection snapshot is derived from these; the live state replaces it
+        if (state.initialized && snapshot.docChanges().length > 0) {
+            MovieCache.invalidateCollection(state.userId);
         }
-    }
+        return newlyOwned.length > 0 ? [this._watchMovies(state, newlyOwned)] : [];
+    },
 
-    // Clear old cache entries
-    clearOldCache() {
-        const now = Date.now();
-        let cleared = 0;
-        
-        for (let i = localStorage.length - 1; i >= 0; i--) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(this.prefix)) {
-                try {
-                    const cached = JSON.parse(localStorage.getItem(key));
-                    if (now - cached.timestamp > cached.ttl) {
-                        localStorage.removeItem(key);
-                        cleared++;
-                    }
-                } catch (e) {
-                    // Invalid cache entry, remove it
-                    localStorage.removeItem(key);
-                    cleared++;
-                }
+    /* Adds owned movies to the chunk listeners, filling the last chunk first; resolves after their first snapshots */
+    _watchMovies(state, movieIds) {
+        const touched = new Set();
+        let chunk = state.movieChunks.find(existing => existing.ids.length < this.MOVIE_CHUNK_SIZE);
+
+        movieIds.forEach(movieId => {
+            if (!chunk || chunk.ids.length >= this.MOVIE_CHUNK_SIZE) {
+                chunk = { ids: [], stop: null };
+                state.movieChunks.push(chunk);
             }
+            chunk.ids.push(movieId);
+            state.movieListeners.set(movieId, chunk);
+            touched.add(chunk);
+        });
+
+        return Promise.all([...touched].map(changed => this._listenToChunk(state, changed, new Set(movieIds))));
+    },
+
+    /* Stops watching a movie that is no longer owned; the rest of its chunk is re-queried */
+    _unwatchMovie(state, movieId) {
+        const chunk = state.movieListeners.get(movieId);
+        state.movieListeners.delete(movieId);
+        state.movies.delete(movieId);
+        if (!chunk) return;
+
+        chunk.ids = chunk.ids.filter(id => id !== movieId);
+        if (chunk.ids.length === 0) {
+            if (chunk.stop) chunk.stop();
+            state.movieChunks = state.movieChunks.filter(existing => existing !== chunk);
+        } else {
+            this._listenToChunk(state, chunk, new Set());
         }
-        
-        console.log(`🧹 Cleared ${cleared} old cache entries`);
-    }
-}
+    },
 
+    /**
+     * (Re)opens one chunk's listener. A reopened query reports every movie as added again,
+     * so on its first snapshot only the movies in `fresh` (just added to the chunk) are news.
+     */
+    _listenToChunk(state, chunk, fresh) {
+        if (chunk.stop) chunk.stop();
+
+        return new Promise(resolve => {
+            let first = true;
+            chunk.stop = db.collection('movies')
+                .where(firebase.firestore.FieldPath.documentId(), 'in', [...chunk.ids])
+                .onSnapshot((snapshot) => {
+                    const cached = [];
+                    snapshot.docChanges().forEach(change => {
+                        const movieId = change.doc.id;
+                        const known = state.movies.has(movieId);
+                        const data = change.type === 'removed' ? null : { ...change.doc.data(), firestoreId: movieId };
+
+                        if (data) {
+                            state.movies.set(movieId, data);
+                            cached.push({ docId: movieId, data });
+                        } else {
+                            state.movies.delete(movieId);
+                            MovieCache.invalidateMovie(movieId);
+                        }
+
+                        if (state.initialized && (!first || fresh.has(movieId))) {
+                            const type = !data ? 'removed' : known ? 'modified' : 'added';
+                            this._emitChange({ type: 'movie', id: movieId, change: type, data });
+                        }
+                    });
 
-const CachedFirestore = {
-    // Cache instances for different data types
-    movieCache: null,
-    userCache: null,
+                    if (cached.length > 0) MovieCache.cacheMovies(cached);
+                    first = false;
+                    resolve();
+                }, (error) => {
+                    console.warn(`Realtime listener for movies ${chunk.ids.join(', ')} failed:`, error);
+                    // Forget the chunk, so the next interaction change for these movies tries again
+                    chunk.ids.forEach(movieId => state.movieListeners.delete(movieId));
+                    state.movieChunks = state.movieChunks.filter(existing => existing !== chunk);
+                    resolve();
+                });
+        });
+    },
 
-    
-    // Initialize caches
-    init() {
-        this.movieCache = new CacheManager('movie_cache_', 50, 2); // 2 hour cache for movies
-        this.userCache = new CacheManager('user_cache_', 20, 1); // 1 hour cache for users
-        console.log('🔥 CachedFirestore initialized');
+    _emitChange(detail) {
+        window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, { detail }));
     },
 
     // Get movie by TMDB ID with caching
     async getMovieByTmdbId(tmdbId) {
         // Check cache first
-        const cached = MovieCache.getCachedMovieByTmdbId(tmdbId);
+        const cached = await MovieCache.getCachedMovieByTmdbId(tmdbId);
         if (cached) {
             console.log(`🎬 Using cached movie for TMDB ID: ${tmdbId}`);
             return { exists: true, data: () => cached, id: cached.firestoreId };
@@ -383,8 +874,8 @@ const CachedFirestore = {
             data.firestoreId = doc.id; // Store the document ID
             
             // Cache for next time
-            MovieCache.cacheMovieByTmdbId(tmdbId, data);
-            MovieCache.cacheMovieByDocId(doc.id, data);
+            await MovieCache.cacheMovieByTmdbId(tmdbId, data);
+            await MovieCache.cacheMovieByDocId(doc.id, data);
             
             return doc;
         }
@@ -397,24 +888,16 @@ const CachedFirestore = {
      * @param {string} movieId - The Firestore document ID of the movie
      * @param {number|null} tmdbId - Optional TMDB ID if known
      */
-    invalidateMovie(movieId, tmdbId = null) {
+    async invalidateMovie(movieId, tmdbId = null) {
         console.log(`🗑️ Invalidating cache for movie: ${movieId}`);
         
-        // Remove from primary movie cache
-        if (this.movieCache) {
-            this.movieCache.remove('movies', `doc_${movieId}`);
-            
-            // Also remove TMDB cache if ID is provided
-            if (tmdbId) {
-                this.movieCache.remove('movies', `tmdb_${tmdbId}`);
-            }
-        }
-        
-        // Remove from MovieCache system
-        MovieCache.invalidateMovie(movieId, tmdbId);
+        await MovieCache.invalidateMovie(movieId, tmdbId);
         
         // Remove any user interaction caches for this movie
-        this.invalidateMovieInteractions(movieId);
+        await this.invalidateMovieInteractions(movieId);
+
+        // Collection snapshots embed movie data; they can't be searched by movie, so drop them all
+        await MovieCache.invalidateCollection();
         
         console.log(`✅ Cache invalidated for movie: ${movieId}`);
     },
@@ -424,21 +907,18 @@ const CachedFirestore = {
      * @param {string} movieId - The movie ID
      */
     invalidateMovieInteractions(movieId) {
-        // Clear user interaction caches
-        if (this.userCache) {
-            // We need to find and remove all interaction caches for this movie
-            // Since we don't know all user IDs, we'll clear by pattern matching
-            const allCacheKeys = Object.keys(localStorage).filter(key => 
-                key.startsWith(this.userCache.prefix) && key.includes('interaction') && key.includes(movieId)
-            );
-            
-            allCacheKeys.forEach(key => {
-                localStorage.removeItem(key);
-            });
-        }
-        
-        // Also clear from MovieCache interaction system
-        MovieCache.invalidateMovieInteractions(movieId);
+        return MovieCache.invalidateMovieInteractions(movieId);
+    },
+
+    /**
+     * Call after writing users/{userId}/movieInteractions/{movieId}: drops the cached
+     * interaction and the user's collection snapshot in every open tab
+     * @param {string} userId - The user whose interaction changed
+     * @param {string} movieId - The movie ID
+     */
+    async invalidateUserInteraction(userId, movieId) {
+        await MovieCache.invalidateUserInteraction(userId, movieId);
+        await MovieCache.invalidateCollection(userId);
     },
 
     /**
@@ -447,20 +927,26 @@ const CachedFirestore = {
      * @param {string} newMovieId - The new movie document ID  
      * @param {number} newTmdbId - The new TMDB ID
      */
-    invalidateMovieReplacement(oldMovieId, newMovieId, newTmdbId) {
+    async invalidateMovieReplacement(oldMovieId, newMovieId, newTmdbId) {
         console.log(`🔄 Handling movie replacement: ${oldMovieId} -> ${newMovieId}`);
         
         // Invalidate old movie
-        this.invalidateMovie(oldMovieId);
+        await this.invalidateMovie(oldMovieId);
         
         // Invalidate new movie (in case it was already cached)
-        this.invalidateMovie(newMovieId, newTmdbId);
+        await this.invalidateMovie(newMovieId, newTmdbId);
     },
 
     // Get movie by document ID with caching
     async getMovieByDocId(docId) {
+        // Realtime mode keeps owned movies current
+        const live = this.realtime && this.realtime.movies.get(docId);
+        if (live) {
+            return { exists: true, data: () => live, id: docId };
+        }
+
         // Check cache first
-        const cached = MovieCache.getCachedMovieByDocId(docId);
+        const cached = await MovieCache.getCachedMovieByDocId(docId);
         if (cached) {
             console.log(`🎬 Using cached movie for doc ID: ${docId}`);
             return { exists: true, data: () => cached, id: docId };
@@ -475,9 +961,9 @@ const CachedFirestore = {
             data.firestoreId = doc.id;
             
             // Cache for next time
-            MovieCache.cacheMovieByDocId(docId, data);
+            await MovieCache.cacheMovieByDocId(docId, data);
             if (data.tmdbId) {
-                MovieCache.cacheMovieByTmdbId(data.tmdbId, data);
+                await MovieCache.cacheMovieByTmdbId(data.tmdbId, data);
             }
             
             return doc;
@@ -488,8 +974,14 @@ const CachedFirestore = {
 
     // Get user interaction with caching
     async getUserInteraction(userId, movieId) {
+        // Realtime mode holds every interaction, so a miss there means it doesn't exist
+        if (this.isSubscribed(userId)) {
+            const live = this.realtime.interactions.get(movieId);
+            return live ? { exists: true, data: () => live } : null;
+        }
+
         // Check cache first
-        const cached = MovieCache.getCachedUserInteraction(userId, movieId);
+        const cached = await MovieCache.getCachedUserInteraction(userId, movieId);
         if (cached) {
             console.log(`👤 Using cached interaction: ${userId}/${movieId}`);
             return { exists: true, data: () => cached };
@@ -504,7 +996,7 @@ const CachedFirestore = {
             const data = doc.data();
             
             // Cache for next time
-            MovieCache.cacheUserInteraction(userId, movieId, data);
+            await MovieCache.cacheUserInteraction(userId, movieId, data);
             
             return doc;
         }
@@ -514,13 +1006,13 @@ const CachedFirestore = {
     /**
      * Cache movie data manually (useful when creating new movies)
      */
-    cacheMovie(movieId, movieData, tmdbId = null) {
+    async cacheMovie(movieId, movieData, tmdbId = null) {
         // Cache by document ID
-        MovieCache.cacheMovieByDocId(movieId, movieData);
+        await MovieCache.cacheMovieByDocId(movieId, movieData);
         
         // Also cache by TMDB ID if available
         if (tmdbId) {
-            MovieCache.cacheMovieByTmdbId(tmdbId, movieData);
+            await MovieCache.cacheMovieByTmdbId(tmdbId, movieData);
         }
         
         console.log(`💾 Manually cached movie: ${movieId}`);
@@ -530,10 +1022,7 @@ const CachedFirestore = {
      * Get cache statistics
      */
     getStats() {
-        return {
-            movieCache: this.movieCache?.getStats(),
-            userCache: this.userCache?.getStats()
-        };
+        return AppCache.stats();
     },
 }
 
@@ -541,70 +1030,78 @@ const CachedFirestore = {
 // Cache Firestore movie queries to avoid repeated reads
 
 const MovieCache = {
-    cache: new EnhancedCacheManager('movie_', 48), // 48 hour cache for movies
+    cache: new CacheManager('movies'),              // 48 hour cache for movie docs
+    interactions: new CacheManager('interactions'), // 1 hour cache for user interactions
+    collections: new CacheManager('collection'),    // 1 hour cache for each user's owned media
     
     // Cache a movie by TMDB ID
-    cacheMovieByTmdbId(tmdbId, movieData) {
+    async cacheMovieByTmdbId(tmdbId, movieData) {
         if (tmdbId && movieData) {
-            this.cache.set('tmdb', tmdbId.toString(), movieData);
+            await this.cache.set('tmdb', tmdbId.toString(), movieData);
         }
     },
 
     // Get cached movie by TMDB ID
-    getCachedMovieByTmdbId(tmdbId) {
+    async getCachedMovieByTmdbId(tmdbId) {
         if (!tmdbId) return null;
         return this.cache.get('tmdb', tmdbId.toString());
     },
 
     // Cache movie by Firestore document ID
-    cacheMovieByDocId(docId, movieData) {
+    async cacheMovieByDocId(docId, movieData) {
         if (docId && movieData) {
-            this.cache.set('doc', docId, movieData);
+            await this.cache.set('doc', docId, movieData);
         }
     },
 
     // Get cached movie by Firestore document ID  
-    getCachedMovieByDocId(docId) {
+    async getCachedMovieByDocId(docId) {
         if (!docId) return null;
         return this.cache.get('doc', docId);
     },
 
     // Cache user interaction data
-    cacheUserInteraction(userId, movieId, interactionData) {
+    async cacheUserInteraction(userId, movieId, interactionData) {
         const key = `${userId}_${movieId}`;
-        this.cache.set('interaction', key, interactionData);
+        await this.interactions.set('interaction', key, interactionData);
+    },
+
+    // Cache many movie docs at once (by doc ID, and by TMDB ID when they have one)
+    async cacheMovies(movies) {
+        await Promise.all([
+            this.cache.setMany('doc', movies.map(({ docId, data }) => ({ key: docId, data }))),
+            this.cache.setMany('tmdb', movies.filter(({ data }) => data.tmdbId).map(({ data }) => ({ key: data.tmdbId.toString(), data })))
+        ]);
+    },
+
+    // Cache many of one user's interactions at once
+    async cacheUserInteractions(userId, interactions) {
+        await this.interactions.setMany('interaction', interactions.map(({ movieId, data }) => ({ key: `${userId}_${movieId}`, data })));
     },
 
     // Get cached user interaction
-    getCachedUserInteraction(userId, movieId) {
+    async getCachedUserInteraction(userId, movieId) {
         const key = `${userId}_${movieId}`;
-        return this.cache.get('interaction', key);
+        return this.interactions.get('interaction', key);
     },
 
-       /**
+    /**
      * Invalidate all cached data for a specific movie
      * @param {string} movieId - The Firestore document ID
-     * @param {number|null} tmdbId - Optional TMDB ID if known
+     * @param {number|null} tmdbId - Optional TMDB ID; read from the cached doc when omitted
      */
-    invalidateMovie(movieId, tmdbId = null) {
+    async invalidateMovie(movieId, tmdbId = null) {
         console.log(`🗑️ MovieCache: Invalidating movie ${movieId}`);
-        
-        // Remove by document ID
-        if (movieId) {
-            this.cache.clearOldCache(); // This will remove expired entries
-            
-            // Remove specific entries
-            const docKey = `movie_doc_${movieId}`;
-            const tmdbKey = tmdbId ? `movie_tmdb_${tmdbId}` : null;
-            
-            // Clear localStorage entries manually since we know the patterns
-            Object.keys(localStorage).forEach(key => {
-                if (key.includes(`doc_${movieId}`) || 
-                    (tmdbId && key.includes(`tmdb_${tmdbId}`))) {
-                    localStorage.removeItem(key);
-                    console.log(`🗑️ Removed cache key: ${key}`);
-                }
-            });
+        if (!movieId) return;
+
+        if (!tmdbId) {
+            const cached = await this.cache.get('doc', movieId);
+            tmdbId = cached?.tmdbId || null;
+        }
+
+        await this.cache.remove('doc', movieId);
+        if (tmdbId) {
+            await this.cache.remove('tmdb', tmdbId.toString());
         }
     },
 
@@ -612,34 +1109,81 @@ const MovieCache = {
      * Invalidate user interaction caches for a movie
      * @param {string} movieId - The movie ID
      */
-    invalidateMovieInteractions(movieId) {
+    async invalidateMovieInteractions(movieId) {
         console.log(`🗑️ MovieCache: Invalidating interactions for movie ${movieId}`);
         
-        // Remove all interaction caches that include this movie ID
-        Object.keys(localStorage).forEach(key => {
-            if (key.startsWith('movie_interaction_') && key.includes(movieId)) {
-                localStorage.removeItem(key);
-                console.log(`🗑️ Removed interaction cache: ${key}`);
-            }
-        });
+        // Interaction keys are `${userId}_${movieId}`
+        const removed = await this.interactions.removeWhere('interaction', key => key.endsWith(`_${movieId}`));
+        if (removed > 0) console.log(`🗑️ Removed ${removed} interaction cache entries`);
+    },
+
+    // Drop one user's cached interaction with a movie
+    async invalidateUserInteraction(userId, movieId) {
+        await this.interactions.remove('interaction', `${userId}_${movieId}`);
+    },
+
+    // Cache a user's owned-media snapshot (my-stacks.html)
+    async cacheCollection(userId, snapshot) {
+        if (userId && snapshot) {
+            await this.collections.set('owned', userId, snapshot);
+        }
+    },
+
+    // Get a user's cached owned-media snapshot
+    async getCachedCollection(userId) {
+        if (!userId) return null;
+        return this.collections.get('owned', userId);
+    },
+
+    // Drop a user's owned-media snapshot, or everyone's when userId is omitted
+    async invalidateCollection(userId = null) {
+        if (userId) {
+            await this.collections.remove('owned', userId);
+        } else {
+            await this.collections.clear('owned');
+        }
     },
 
     /**
      * Clear all movie-related caches (useful for development/debugging)
      */
-    clearAllMovieCache() {
+    async clearAllMovieCache() {
         console.log('🧹 Clearing all movie caches');
         
-        Object.keys(localStorage).forEach(key => {
-            if (key.startsWith('movie_')) {
-                localStorage.removeItem(key);
-            }
-        });
+        await this.cache.clearAll();
+        await this.interactions.clearAll();
+        await this.collections.clearAll();
         
         console.log('✅ All movie caches cleared');
     },
 };
 
+// ===== LIST CACHING =====
+// Cache the public lists overview (lists.html) until a list changes
+
+const ListCache = {
+    cache: new CacheManager('lists'), // 1 hour cache
+    
+    // Cache list data with movie posters
+    async cacheList(listId, listData) {
+        await this.cache.set('list', listId, listData);
+    },
+
+    // Get cached list data
+    async getCachedList(listId) {
+        return this.cache.get('list', listId);
+    },
+
+    /**
+     * Call after creating, editing or deleting a list: drops it and the overview in every open tab
+     * @param {string|null} listId - The list document ID
+     */
+    async invalidateList(listId = null) {
+        if (listId) await this.cache.remove('list', listId);
+        await this.cache.remove('list', 'all_lists');
+    },
+};
+
 // Development mode detection
 const isDevelopment = 
     window.location.hostname === 'localhost' || 
@@ -651,76 +1195,35 @@ const isDevelopment =
 
 const DevHelpers= {
     // Cache statistics
-    getCacheStats() {
-        let totalItems = 0;
-        let totalSize = 0;
+    async getCacheStats() {
+        const stats = await AppCache.stats();
         const categories = {};
-        
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('dvd_cache_')) {
-                const category = key.split('_')[2];
-                categories[category] = (categories[category] || 0) + 1;
-                totalItems++;
-                
-                try {
-                    totalSize += localStorage.getItem(key).length;
-                } catch (e) {
-                    // Skip invalid entries
-                }
-            }
-        }
+        let totalItems = 0;
+
+        Object.entries(stats.namespaces).forEach(([namespace, { count }]) => {
+            categories[namespace] = count;
+            totalItems += count;
+        });
         
         return {
+            backend: stats.backend,
             totalItems,
-            totalSize: Math.round(totalSize / 1024) + ' KB',
+            totalSize: Math.round(stats.totalBytes / 1024) + ' KB',
             categories,
-            quota: Math.round((totalSize / (5 * 1024 * 1024)) * 100) + '% of 5MB localStorage quota'
+            quota: Math.round((stats.totalBytes / stats.maxBytes) * 100) + `% of ${Math.round(stats.maxBytes / 1024 / 1024)}MB cache budget`
         };
     },
 
     // Clear all cache
     clearAllCache() {
-        let cleared = 0;
-        for (let i = localStorage.length - 1; i >= 0; i--) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('dvd_cache_')) {
-                localStorage.removeItem(key);
-                cleared++;
-            }
-        }
-        console.log(`🧹 Cleared all cache (${cleared} items)`);
+        return AppCache.clear();
     }
 }
 
 const EnhancedDevHelpers= {
-    // Cache statistics
+    // Cache statistics per namespace
     getAllCacheStats() {
-        const stats = {
-            movies: 0,
-            tmdb: 0,
-            upc: 0,
-            lists: 0,
-            dashboard: 0,
-            other: 0,
-            totalSize: 0
-        };
-        
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            const value = localStorage.getItem(key);
-            stats.totalSize += value.length;
-            
-            if (key.startsWith('dvd_cache_movie_')) stats.movies++;
-            else if (key.startsWith('tmdb_search_')) stats.tmdb++;
-            else if (key.startsWith('upc_')) stats.upc++;
-            else if (key.startsWith('list_')) stats.lists++;
-            else if (key.startsWith('dashboard_')) stats.dashboard++;
-            else stats.other++;
-        }
-        
-        stats.totalSize = Math.round(stats.totalSize / 1024) + ' KB';
-        return stats;
+        return AppCache.stats();
     },
 
     // Skip Firestore reads in development
@@ -728,27 +1231,14 @@ const EnhancedDevHelpers= {
         window.SKIP_FIRESTORE_READS = true;
         console.log('🚧 Development mode: Firestore reads disabled');
     },
-    clearTMDBCache() {
-        let cleared = 0;
-        for (let i = localStorage.length - 1; i >= 0; i--) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('tmdb_search_')) {
-                localStorage.removeItem(key);
-                cleared++;
-            }
-        }
-        console.log(`🎬 Cleared ${cleared} TMDB cache entries`);
+    async clearTMDBCache() {
+        const lookup = await AppCache.removeWhere('lookup', key => key.startsWith('tmdb_'));
+        const details = await AppCache.removeWhere('tmdb_api', () => true);
+        console.log(`🎬 Cleared ${lookup + details} TMDB cache entries`);
     },
     
-    clearUPCCache() {
-        let cleared = 0;
-        for (let i = localStorage.length - 1; i >= 0; i--) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('upc_')) {
-                localStorage.removeItem(key);
-                cleared++;
-            }
-        }
+    async clearUPCCache() {
+        const cleared = await AppCache.removeWhere('lookup', key => key.startsWith('upc_'));
         console.log(`📦 Cleared ${cleared} UPC cache entries`);
     },
 
@@ -757,15 +1247,11 @@ const EnhancedDevHelpers= {
      * @param {string} movieId - The movie document ID
      * @param {number|null} tmdbId - Optional TMDB ID
      */
-    invalidateMovieCache(movieId, tmdbId = null) {
+    async invalidateMovieCache(movieId, tmdbId = null) {
         console.log(`🛠️ DEV: Manually invalidating cache for movie ${movieId}`);
         
         if (window.CachedFirestore && typeof window.CachedFirestore.invalidateMovie === 'function') {
-            window.CachedFirestore.invalidateMovie(movieId, tmdbId);
-        }
-        
-        if (window.MovieCache && typeof window.MovieCache.invalidateMovie === 'function') {
-            window.MovieCache.invalidateMovie(movieId, tmdbId);
+            await window.CachedFirestore.invalidateMovie(movieId, tmdbId);
         }
         
         console.log('✅ DEV: Cache invalidation complete');
@@ -774,27 +1260,16 @@ const EnhancedDevHelpers= {
     /**
      * Show all cached movies
      */
-    showCachedMovies() {
-        const movieCaches = [];
-        
-        Object.keys(localStorage).forEach(key => {
-            if (key.includes('movie_') && (key.includes('doc_') || key.includes('tmdb_'))) {
-                try {
-                    const data = JSON.parse(localStorage.getItem(key));
-                    movieCaches.push({
-                        key,
-                        title: data.data?.title || data.title || 'Unknown',
-                        cached: new Date(data.timestamp || Date.now()).toLocaleString()
-                    });
-                } catch (e) {
-                    movieCaches.push({
-                        key,
-                        title: 'Invalid Cache Entry',
-                        cached: 'Unknown'
-                    });
-                }
-            }
-        });
+    async showCachedMovies() {
+        const entries = await AppCache.entries('movies');
+        const movieCaches = await Promise.all(entries.map(async (entry) => {
+            const data = await AppCache.get('movies', entry.key);
+            return {
+                key: entry.key,
+                title: data?.title || 'Unknown',
+                cached: new Date(entry.created).toLocaleString()
+            };
+        }));
         
         console.table(movieCaches);
         return movieCaches;
@@ -819,26 +1294,122 @@ const EnhancedDevHelpers= {
     }
 };
 
+// ===== CACHE INSPECTOR =====
+// Diagnostics panel for dev mode and admins: usage per namespace, with purge and export
+
+const CacheInspector = {
+    /* Localhost or an explicit ?dev=true, or an active admin. Deployed
+       previews count as isDevelopment too, so that flag alone isn't enough. */
+    async canAccess(user) {
+        const { hostname, search } = window.location;
+        if (hostname === 'localhost' || new URLSearchParams(search).get('dev') === 'true') return true;
+        if (!user) return false;
+
+        try {
+            const adminDoc = await db.collection('admins').doc(user.uid).get();
+            return adminDoc.exists && adminDoc.data().isActive === true;
+        } catch (error) {
+            console.warn('Admin check failed:', error);
+            return false;
+        }
+    },
+
+    async show() {
+        const stats = await AppCache.stats();
+        const rows = Object.entries(stats.namespaces).map(([namespace, ns]) => `
+            <tr>
+                <td>${namespace}</td>
+                <td>${ns.count}</td>
+                <td>${this._formatBytes(ns.bytes)}</td>
+                <td>${ns.hitRate === null ? '-' : `${Math.round(ns.hitRate * 100)}%`}
+                    <small>${ns.hits} hit / ${ns.misses} miss</small></td>
+                <td title="${this._escape(ns.oldestKey)}">${ns.oldest ? DateUtils.getRelativeTime(new Date(ns.oldest)) : '-'}</td>
+                <td title="${this._escape(ns.newestKey)}">${ns.newest ? DateUtils.getRelativeTime(new Date(ns.newest)) : '-'}</td>
+                <td class="cache-inspector-actions">
+                    <button class="btn btn-sm btn-secondary" onclick="CacheInspector.exportNamespace('${namespace}')" ${ns.count ? '' : 'disabled'}>export</button>
+                    <button class="btn btn-sm btn-danger" onclick="CacheInspector.purge('${namespace}')" ${ns.count ? '' : 'disabled'}>purge</button>
+                </td>
+            </tr>
+        `).join('');
+
+        ModalManager.show({
+            title: 'cache diagnostics',
+            content: `
+                <p class="cache-inspector-summary">
+                    ${this._formatBytes(stats.totalBytes)} of ${this._formatBytes(stats.maxBytes)} used (${stats.backend})
+                </p>
+                <div class="cache-inspector-scroll">
+                    <table class="cache-inspector-table">
+                        <thead>
+                            <tr><th>namespace</th><th>entries</th><th>size</th><th>hit rate</th><th>oldest</th><th>newest</th><th></th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `,
+            buttons: [
+                { text: 'reset counters', class: 'btn-secondary btn-rectangular', closes: false,
+                    onClick: () => { AppCache.resetCounters(); this.show(); } },
+                { text: '<span class="icon icon-trash"></span> purge all', class: 'btn-danger btn-rectangular', closes: false,
+                    onClick: () => this.purge(null) },
+                { text: 'close', class: 'btn-rectangular' }
+            ]
+        });
+    },
+
+    /* Clears one namespace (or everything) in every open tab, then redraws the panel */
+    async purge(namespace) {
+        await AppCache.clear(namespace);
+        await this.show();
+    },
+
+    /* Downloads a namespace's entries and stats as JSON */
+    async exportNamespace(namespace) {
+        const dump = await AppCache.exportNamespace(namespace);
+        const url = URL.createObjectURL(new Blob([JSON.stringify(dump, null, 2)], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `cache-${namespace}-${dump.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    _formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    },
+
+    _escape(value) {
+        return String(value || '').replace(/[&"<>]/g, char => ({ '&': '&amp;', '"': '&quot;', '<': '&lt;', '>': '&gt;' })[char]);
+    }
+};
+
 // ===== AUTO-INITIALIZATION =====
 
 if (isDevelopment) {
     console.log('🔧 Development mode detected - Enhanced caching enabled');
     
     // Show cache stats every 30 seconds in dev
-    setInterval(() => {
-        const stats = DevHelpers.getCacheStats();
+    setInterval(async () => {
+        const stats = await DevHelpers.getCacheStats();
         console.log('📊 Cache Stats:', stats);
     }, 30000);
     
     // Make dev helpers available in console
     window.DevHelpers = EnhancedDevHelpers;
     
-    console.log('🛠️ Dev tools available: DevHelpers, MovieCache, CachedFirestore');
+    console.log('🛠️ Dev tools available: DevHelpers, AppCache, MovieCache, CachedFirestore, CacheInspector.show()');
 }
 
 // Initialize when page loads and make globally available
 if (typeof window !== 'undefined') {
     window.ScannerManager = ScannerManager;
+    window.AppCache = AppCache;
+    window.CacheInspector = CacheInspector;
     window.CachedFirestore = CachedFirestore;
     window.CacheManager = CacheManager;
 
@@ -850,8 +1421,8 @@ if (typeof window !== 'undefined') {
         CachedFirestore.init();
     }
 
-    // Make MovieCache available globally
+    // Make MovieCache and ListCache available globally
     window.MovieCache = MovieCache;
+    window.ListCache = ListCache;
 }
 
-
@@ -24,8 +24,40 @@ document.addEventListener("DOMContentLoaded", function() {
                 console.error("Error loading footer:", error);
             });
     }
+
+    setupOfflineBanner();
 });
 
+// Offline support: sw.js precaches the pages, styles and icons and keeps viewed posters
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js')
+            .catch(error => console.warn('Service worker registration failed:', error));
+    });
+}
+
+// Shows a banner while the connection is down; saved pages and data keep working underneath
+function setupOfflineBanner() {
+    const banner = document.createElement('div');
+    banner.className = 'offline-banner';
+    banner.id = 'offlineBanner';
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = `
+        <strong>you're offline.</strong>
+        showing saved data - lookups need a connection, and changes sync once you're back.
+    `;
+    document.body.prepend(banner);
+
+    const update = () => {
+        const offline = !LibraryUtils.offline.isOnline();
+        banner.classList.toggle('show', offline);
+        document.body.classList.toggle('is-offline', offline);
+    };
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    update();
+}
+
 // This is now the ONLY onAuthStateChanged listener in the entire application
 function setupAuthentication() {
     const auth = firebase.auth();
@@ -0,0 +1,1244 @@
+// media-matching.js - Title cleaning and TMDB match scoring shared by the browser and api/ functions
+// Pure functions only: network access is passed in, so this file loads with a plain
+// <script> tag (before scanner-utils.js) or with require() in Node.
+
+const MediaMatching = {
+    // Debug logging is on in the browser console and off in serverless logs
+    debug: typeof window !== 'undefined',
+
+    // How many ranked alternatives a lookup keeps for review
+    CANDIDATE_LIMIT: 5,
+
+    // Candidates whose credits are checked against names printed on the package, and the points a match adds
+    CREDIT_CHECK_LIMIT: 3,
+    CREDIT_BOOST: { director: 25, cast: 15, max: 40 },
+
+    // Points taken from a subtitled title ("Gladiator II") when another candidate matches the
+    // title exactly; at least the popularity maximum, so a newer sequel can't outrank the film
+    SUBTITLE_PENALTY: 15,
+
+    // Default review thresholds for assessMatch; users can override them in their profile
+    MATCH_THRESHOLDS: {
+        minConfidence: 0.5, // Normalized 0-1 confidence below this goes to review
+        maxYearDelta: 2,    // Years the match may differ from a year printed on the UPC title
+        minPopularity: 0.5  // TMDB popularity below this goes to review
+    },
+
+    log(...args) {
+        if (this.debug) console.log(...args);
+    },
+
+    /**
+     * Runs the title search strategies against TMDb and returns full details of the best match.
+     * Network access is injected so the same code runs in the browser and in api/ functions.
+     * @param {object} client - { searchMulti(query) → {results}, getDetails(mediaType, id) → details };
+     *   both reject with Error('RATE_LIMIT') when TMDb answers 429
+     * @param {string} title - Cleaned title
+     * @param {number|null} year - Year extracted from the UPC title
+     * @param {boolean} exactMatch - Skip the unquoted fallback query
+     * @param {string|null} mediaType - Only consider 'movie' or 'tv' results
+     * @param {object|null} boosts - Extra points keyed by `${media_type}_${id}`, e.g. from learned corrections
+     * @param {object|null} credits - { actors, directors } named on the package (extractCreditHints of the
+     *   raw UPC title); defaults to names found in `title`
+     * @returns {Promise<object>} TMDb details with matchScore, media_type and candidates (ranked top-N
+     *   summaries from summarizeCandidate, chosen match first), or a placeholder flagged for review
+     */
+    async searchTMDB(client, title, year = null, exactMatch = false, mediaType = null, boosts = null, credits = null) {
+        if (!title || title.trim() === '') {
+            throw new Error('No title to search');
+        }
+
+        const hints = credits || this.extractCreditHints(title);
+
+        // Try different search strategies in order of preference
+        const searchStrategies = [
+            // Strategy 1: Exact title + year (if provided)
+            ...(year ? [{ query: `"${title}" ${year}`, priority: 'high' }] : []),
+
+            // Strategy 2: Title + year without quotes
+            ...(year ? [{ query: `${title} ${year}`, priority: 'medium' }] : []),
+
+            // Strategy 3: Exact title only
+            { query: `"${title}"`, priority: 'medium' },
+
+            // Strategy 4: Title without quotes (fallback)
+            ...(exactMatch ? [] : [{ query: title, priority: 'low' }]),
+
+            // Strategy 5: Search by cast member names (extract from title if possible)
+            ...hints.actors.map(actor => ({
+                query: `${actor} ${title.replace(actor, '').trim()}`,
+                priority: 'medium'
+            })),
+
+            // Strategy 6: Search by director (if extractable)
+            ...hints.directors.map(director => ({
+                query: `${title} ${director}`,
+                priority: 'medium'
+            }))
+        ];
+        let bestResult = null;
+        let bestScore = 0;
+        // Every candidate any strategy saw, keyed by type + id, keeping its best strategy score
+        const candidatePool = new Map();
+
+        for (const strategy of searchStrategies) {
+            this.log(`🔍 TMDB Search Strategy: ${strategy.query} (${strategy.priority} priority)`);
+
+            try {
+                const searchData = await client.searchMulti(strategy.query);
+
+                if (!searchData || !searchData.results || searchData.results.length === 0) continue;
+
+                // Filter to movies and TV shows only
+                const mediaResults = searchData.results.filter(item =>
+                    (item.media_type === 'movie' || item.media_type === 'tv') &&
+                    (!mediaType || item.media_type === mediaType)
+                );
+
+                if (mediaResults.length === 0) continue;
+
+                const ranked = this.applyBoosts(this.rankCandidates(mediaResults, title, year), boosts);
+                ranked.forEach(candidate => {
+                    const key = `${candidate.media_type}_${candidate.id}`;
+                    const strategyScore = this.scoreSearchResult(candidate, title, year, strategy.priority);
+                    const existing = candidatePool.get(key);
+                    if (!existing || strategyScore > existing.score) {
+                        candidatePool.set(key, this.summarizeCandidate(candidate, strategy, strategyScore));
+                    }
+                });
+
+                // Score this result set (boosted candidates can overtake the plain winner)
+                const candidateResult = boosts ? ranked[0] : this.findBestTMDBMatch(mediaResults, title, year);
+                const score = this.scoreSearchResult(candidateResult, title, year, strategy.priority);
+
+                this.log(`📊 Strategy "${strategy.query}" score: ${score}`);
+
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestResult = candidateResult;
+
+                    // If we got a very high score, don't bother with other strategies
+                    if (score > 90 && strategy.priority === 'high') {
+                        break;
+                    }
+                }
+
+            } catch (strategyError) {
+                // Re-throw the rate limit error so the queue can catch it
+                if (strategyError.message === 'RATE_LIMIT') {
+                    throw strategyError;
+                }
+                this.log(`Strategy "${strategy.query}" failed:`, strategyError.message);
+                continue;
+            }
+        }
+
+        if (!bestResult) {
+            this.log(`No TMDB results found for "${title}" - will need manual review`);
+            return this.createUnmatchedResult(title);
+        }
+
+        // Cast and crew named on the package settle remakes and same-title films ("Psycho" 1960 vs 1998)
+        const fetchedDetails = await this.applyCreditBoosts(client, candidatePool, hints);
+        const chosen = candidatePool.get(`${bestResult.media_type}_${bestResult.id}`);
+        const creditLeader = [...candidatePool.values()]
+            .filter(candidate => candidate.breakdown.credits)
+            .sort((a, b) => b.score - a.score)[0];
+        if (creditLeader && (!chosen || creditLeader.score > chosen.score)) {
+            this.log(`🎭 Credits favour "${creditLeader.title}" (${creditLeader.breakdown.creditMatches.join(', ')})`);
+            bestResult = { id: creditLeader.id, media_type: creditLeader.media_type, title: creditLeader.title, matchScore: creditLeader.matchScore };
+            bestScore = creditLeader.score;
+        } else if (chosen && chosen.breakdown.credits) {
+            bestResult = { ...bestResult, matchScore: chosen.matchScore };
+        }
+
+        // Get full details for the best match
+        this.log(`🏆 Best match selected: "${bestResult.title || bestResult.name}" (score: ${bestScore})`);
+
+        const bestKey = `${bestResult.media_type}_${bestResult.id}`;
+        const fullDetails = fetchedDetails.get(bestKey) || await client.getDetails(bestResult.media_type, bestResult.id);
+
+        // IMPORTANT: Preserve the match score from our analysis
+        fullDetails.matchScore = bestResult.matchScore;
+        fullDetails.media_type = bestResult.media_type;
+
+        // Ranked alternatives with the chosen match first, so "2nd match" is the runner-up
+        const ranked = [...candidatePool.values()].sort((a, b) => b.score - a.score);
+        fullDetails.candidates = [
+            ...ranked.filter(candidate => `${candidate.media_type}_${candidate.id}` === bestKey),
+            ...ranked.filter(candidate => `${candidate.media_type}_${candidate.id}` !== bestKey)
+        ].slice(0, this.CANDIDATE_LIMIT);
+
+        return fullDetails;
+    },
+
+    /* Placeholder result used when no TMDB search strategy found anything */
+    createUnmatchedResult(title) {
+        return {
+            id: `upc_${Date.now()}`, // Temporary ID
+            title: title,
+            name: title,
+            overview: 'No results found - needs manual review',
+            poster_path: null,
+            release_date: null,
+            first_air_date: null,
+            media_type: 'movie',
+            matchScore: 0,  // This will trigger needs_review
+            popularity: 0,
+            vote_average: 0,
+            vote_count: 0,
+            needsManualReview: true  // Explicit flag
+        };
+    },
+
+    /**
+     * Fetches details (with credits) for the top pooled candidates and boosts those whose director,
+     * creator or cast appear in the names printed on the package. Updates the pool entries' score,
+     * matchScore and breakdown ({credits, creditMatches}) in place.
+     * @param {object} client - TMDb client as for searchTMDB
+     * @param {Map} candidatePool - summarizeCandidate entries keyed by `${media_type}_${id}`
+     * @param {object} hints - { actors, directors } from extractCreditHints
+     * @returns {Promise<Map>} The details fetched along the way, keyed like the pool
+     */
+    async applyCreditBoosts(client, candidatePool, hints) {
+        const fetched = new Map();
+        if (!hints.actors.length && !hints.directors.length) return fetched;
+
+        const top = [...candidatePool.values()]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.CREDIT_CHECK_LIMIT);
+
+        for (const candidate of top) {
+            const key = `${candidate.media_type}_${candidate.id}`;
+            try {
+                const details = await client.getDetails(candidate.media_type, candidate.id);
+                fetched.set(key, details);
+
+                const matches = this.matchCredits(details, [...hints.actors, ...hints.directors]);
+                const bonus = Math.min(
+                    matches.directors.length * this.CREDIT_BOOST.director + matches.cast.length * this.CREDIT_BOOST.cast,
+                    this.CREDIT_BOOST.max
+                );
+                if (!bonus) continue;
+
+                candidate.score += bonus;
+                candidate.matchScore += bonus;
+                candidate.breakdown = { ...candidate.breakdown, credits: bonus, creditMatches: [...matches.directors, ...matches.cast] };
+                this.log(`🎭 "${candidate.title}" credits match ${candidate.breakdown.creditMatches.join(', ')} (+${bonus})`);
+            } catch (error) {
+                if (error.message === 'RATE_LIMIT') throw error;
+                this.log(`Credit check failed for ${key}:`, error.message);
+            }
+        }
+        return fetched;
+    },
+
+    /**
+     * People in a TMDB record (details with append_to_response=credits) named in any hint.
+     * Hints are loose ("Al Pacino Robert De Niro Blu"), so a person matches when their full name
+     * appears inside one.
+     * @param {object} details - TMDB movie or TV details with credits
+     * @param {string[]} hints - Names extracted from the UPC title
+     * @returns {{directors: string[], cast: string[]}} Matched directors/creators and cast members
+     */
+    matchCredits(details, hints) {
+        const haystacks = hints.map(hint => ` ${this.normalizePersonName(hint)} `);
+        const named = person => {
+            const name = this.normalizePersonName(person.name || '');
+            return name.includes(' ') && haystacks.some(haystack => haystack.includes(` ${name} `));
+        };
+        const unique = people => [...new Set(people.filter(named).map(person => person.name))];
+
+        const credits = details.credits || {};
+        return {
+            directors: unique([...(credits.crew || []).filter(member => member.job === 'Director'), ...(details.created_by || [])]),
+            cast: unique((credits.cast || []).slice(0, 20))
+        };
+    },
+
+    /* Lowercase, accent-free, punctuation-free person name for credit comparisons */
+    normalizePersonName(name) {
+        return name
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Assembles the completeMovieLookup result from UPC data and the chosen TMDb match.
+     * Confidence is assessMatch's normalized 0-1 score; tmdbData.matchScore keeps the raw
+     * ranking points the candidates were ordered by.
+     * @param {object} upcData - UPC data with originalTitle, brand, category, description, barcode
+     * @param {object} tmdbData - Result of searchTMDB
+     * @param {string} cleanTitle - Title the search ran with
+     * @param {number|null} extractedYear - Year extracted from the UPC title
+     * @param {string[]} removedTokens - Tokens cleanMovieTitleDetailed stripped from the UPC title
+     * @param {object|null} thresholds - Per-user overrides of MATCH_THRESHOLDS
+     * @returns {object} { upcData, tmdbData, physicalEdition, cleanTitle, removedTokens, extractedYear,
+     *   confidence, reasons, needsReview, candidates, source }
+     */
+    buildLookupResult(upcData, tmdbData, cleanTitle, extractedYear, removedTokens = [], thresholds = null) {
+        const physicalEdition = this.createPhysicalEditionData(upcData);
+        const { confidence, reasons, needsReview } = this.assessMatch(tmdbData, cleanTitle, extractedYear, thresholds);
+        this.log(`📊 Match confidence: ${confidence.toFixed(2)}, Needs review: ${needsReview}`);
+
+        return {
+            upcData,
+            tmdbData,
+            physicalEdition,
+            cleanTitle,
+            removedTokens,
+            extractedYear,
+            confidence,
+            reasons,
+            needsReview,
+            candidates: tmdbData.candidates || [],
+            source: 'lookup'
+        };
+    },
+
+    // Number words used on season and box-set packaging
+    NUMBER_WORDS: {
+        one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+        eleven: 11, twelve: 12, first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6,
+        seventh: 7, eighth: 8, ninth: 9, tenth: 10, eleventh: 11, twelfth: 12
+    },
+
+    /* Parse "3", "3rd", "three" or "third" into a number */
+    parseCountWord(word) {
+        if (!word) return null;
+        const lower = word.toLowerCase();
+        if (this.NUMBER_WORDS[lower]) return this.NUMBER_WORDS[lower];
+        const number = parseInt(lower, 10);
+        return Number.isNaN(number) ? null : number;
+    },
+
+    /**
+     * Detects TV seasons, complete series and multi-film sets from a UPC title.
+     * @param {string} title - Raw UPC product title
+     * @returns {{kind: string, baseTitle: string, marker: string|null, rest: string, seasonNumber: number|null, movieCount: number|null}}
+     *   kind is 'movie', 'tv_season', 'tv_series' or 'collection'; baseTitle is the title before the marker
+     *   and rest is whatever packaging text followed it
+     */
+    detectReleaseKind(title) {
+        const release = { kind: 'movie', baseTitle: title || '', marker: null, rest: '', seasonNumber: null, movieCount: null };
+        if (!title) return release;
+
+        const numberWord = `\\d{1,2}(?:st|nd|rd|th)?|${Object.keys(this.NUMBER_WORDS).join('|')}`;
+        const detectors = [
+            // "The Complete Third Season", "Season 2", "Series 3"
+            { kind: 'tv_season', pattern: new RegExp(`\\b(?:the\\s+)?(?:complete\\s+)?(${numberWord})\\s+season\\b`, 'i'), season: 1 },
+            { kind: 'tv_season', pattern: new RegExp(`\\b(?:the\\s+)?(?:complete\\s+)?(?:season|series)\\s+(${numberWord})\\b(?!\\s*[-–]\\s*\\d)`, 'i'), season: 1 },
+            // "The Complete Series", "Seasons 1-3"
+            { kind: 'tv_series', pattern: /\b(?:the\s+)?complete\s+series\b/i },
+            { kind: 'tv_series', pattern: /\bseasons?\s+\d{1,2}\s*[-–]\s*\d{1,2}\b/i },
+            // "4-Movie Collection", "Trilogy", "Double Feature", "Box Set"
+            { kind: 'collection', pattern: new RegExp(`\\b(${numberWord})[\\s-](?:movie|film)\\s+(?:collection|set|pack)\\b`, 'i'), count: 1 },
+            { kind: 'collection', pattern: /\b(trilogy|quadrilogy)\b/i, count: 1 },
+            { kind: 'collection', pattern: /\b(double|triple)\s+feature\b/i, count: 1 },
+            { kind: 'collection', pattern: /\b(?:complete\s+)?(?:box\s+set|anthology|saga\s+collection)\b/i }
+        ];
+
+        for (const detector of detectors) {
+            const match = title.match(detector.pattern);
+            if (!match) continue;
+
+            const before = title.slice(0, match.index);
+            const after = title.slice(match.index + match[0].length);
+            release.kind = detector.kind;
+            release.marker = match[0].trim();
+            release.baseTitle = (/\w/.test(before) ? before : after).replace(/[\s:,-]+$/, '').trim();
+            release.rest = (/\w/.test(before) ? after : '').replace(/^[\s:,-]+/, '').trim();
+
+            if (detector.season) {
+                release.seasonNumber = this.parseCountWord(match[detector.season]);
+            }
+            if (detector.count) {
+                const counts = { trilogy: 3, quadrilogy: 4, double: 2, triple: 3 };
+                const word = match[detector.count].toLowerCase();
+                release.movieCount = counts[word] || this.parseCountWord(word);
+            }
+            break;
+        }
+
+        return release;
+    },
+
+    /**
+     * Resolves a TV season, complete series or multi-film set detected by detectReleaseKind.
+     * @param {object} client - TMDb client as for searchTMDB, plus getSeason(tvId, seasonNumber),
+     *   searchCollection(query) → {results} and getCollection(id) → {id, name, parts}
+     * @param {object} upcData - UPC data with originalTitle
+     * @param {object} release - Result of detectReleaseKind
+     * @param {object|null} thresholds - Per-user overrides of MATCH_THRESHOLDS
+     * @returns {Promise<object>} A completeMovieLookup-shaped result with releaseKind, plus
+     *   season ({seasonNumber, name, episodeCount, airDate, posterPath}) or collection ({tmdbCollectionId, name, movies})
+     */
+    async matchSeasonOrCollection(client, upcData, release, thresholds = null) {
+        const { title: cleanTitle, removed } = this.cleanMovieTitleDetailed(release.baseTitle);
+        const removedTokens = [...removed, release.marker, ...(release.rest ? [release.rest] : [])];
+
+        if (release.kind === 'collection') {
+            return this.matchCollection(client, upcData, release, cleanTitle, removedTokens, thresholds);
+        }
+
+        // A year on a season box is the season's year, not the show's premiere, so don't score on it
+        const tmdbData = await this.searchTMDB(client, cleanTitle, null, false, 'tv', null, this.extractCreditHints(upcData.originalTitle));
+        const result = this.buildLookupResult(upcData, tmdbData, cleanTitle, null, removedTokens, thresholds);
+        result.releaseKind = release.kind;
+
+        if (release.kind === 'tv_season') {
+            result.physicalEdition.seasonNumber = release.seasonNumber;
+            result.season = tmdbData.needsManualReview
+                ? { seasonNumber: release.seasonNumber, name: `Season ${release.seasonNumber}`, episodeCount: null, airDate: null, posterPath: null }
+                : await this.fetchSeason(client, tmdbData.id, release.seasonNumber);
+
+            // The show exists but has no such season - the match is probably wrong
+            if (result.season.missing) {
+                result.needsReview = true;
+                result.reasons.push(`"${tmdbData.name}" has no season ${release.seasonNumber} on TMDB`);
+            }
+        }
+
+        return result;
+    },
+
+    /* Season summary for a matched show; flagged missing when TMDB has no such season */
+    async fetchSeason(client, tvId, seasonNumber) {
+        try {
+            const season = await client.getSeason(tvId, seasonNumber);
+            return {
+                seasonNumber,
+                name: season.name || `Season ${seasonNumber}`,
+                episodeCount: (season.episodes || []).length || null,
+                airDate: season.air_date || null,
+                posterPath: season.poster_path || null
+            };
+        } catch (error) {
+            if (error.message === 'RATE_LIMIT') throw error;
+            this.log(`Season ${seasonNumber} not found for TV ${tvId}:`, error.message);
+            return { seasonNumber, name: `Season ${seasonNumber}`, episodeCount: null, airDate: null, posterPath: null, missing: true };
+        }
+    },
+
+    /* Resolve a multi-film set: "A / B" titles search one by one, anything else goes through TMDB collections */
+    async matchCollection(client, upcData, release, cleanTitle, removedTokens, thresholds = null) {
+        let movies = [];
+        let collection = null;
+        let titleScore = 0;
+
+        const listedTitles = release.baseTitle.split(/\s+\/\s+/).filter(part => /\w/.test(part));
+        if (listedTitles.length > 1) {
+            for (const listedTitle of listedTitles) {
+                const match = await this.searchTMDB(client, this.cleanMovieTitle(listedTitle), null, false, 'movie');
+                if (!match.needsManualReview) movies.push(match);
+            }
+            titleScore = movies.length === listedTitles.length ? 40 : 0;
+        } else {
+            const searchData = await client.searchCollection(cleanTitle);
+            const candidates = ((searchData && searchData.results) || [])
+                .map(candidate => ({
+                    ...candidate,
+                    matchScore: this.calculateTitleSimilarity(cleanTitle, (candidate.name || '').replace(/\bcollection\b/i, ''))
+                }))
+                .sort((a, b) => b.matchScore - a.matchScore);
+
+            if (candidates.length > 0) {
+                titleScore = candidates[0].matchScore;
+                collection = await client.getCollection(candidates[0].id);
+
+                // Unreleased parts have no date; box sets only hold the first N films in release order
+                movies = (collection.parts || [])
+                    .filter(part => part.release_date)
+                    .sort((a, b) => a.release_date.localeCompare(b.release_date));
+                if (release.movieCount && movies.length > release.movieCount) {
+                    movies = movies.slice(0, release.movieCount);
+                }
+            }
+        }
+
+        const countMatches = !release.movieCount || movies.length === release.movieCount;
+        const matchScore = movies.length > 0 ? titleScore + (countMatches ? 20 : 0) : 0;
+        const name = collection ? collection.name : cleanTitle;
+        const tmdbData = {
+            id: collection ? collection.id : `upc_${Date.now()}`,
+            title: name,
+            name: name,
+            overview: collection ? collection.overview || '' : movies.map(movie => movie.title).join(' / '),
+            poster_path: collection ? collection.poster_path : (movies[0] && movies[0].poster_path) || null,
+            media_type: 'collection',
+            matchScore,
+            needsManualReview: movies.length === 0
+        };
+
+        const physicalEdition = this.createPhysicalEditionData(upcData);
+        physicalEdition.movieCount = movies.length;
+
+        // Box sets score on the collection name and on finding as many films as the box lists
+        const limits = { ...this.MATCH_THRESHOLDS, ...this.normalizeThresholds(thresholds) };
+        const confidence = movies.length > 0 ? (titleScore / 40) * 0.8 + (countMatches ? 0.2 : 0) : 0;
+        const reasons = [];
+        if (movies.length === 0) reasons.push('no matching TMDB collection');
+        else if (movies.length < 2) reasons.push(`only ${movies.length} film found for a box set`);
+        if (movies.length > 0 && !countMatches) reasons.push(`box lists ${release.movieCount} films, found ${movies.length}`);
+        if (confidence < limits.minConfidence) {
+            reasons.unshift(`confidence ${Math.round(confidence * 100)}% is below ${Math.round(limits.minConfidence * 100)}%`);
+        }
+
+        const needsReview = reasons.length > 0;
+        this.log(`📦 Collection "${name}": ${movies.length} films, confidence ${confidence.toFixed(2)}, needs review: ${needsReview}`);
+
+        return {
+            upcData,
+            tmdbData,
+            physicalEdition,
+            cleanTitle,
+            removedTokens,
+            extractedYear: null,
+            confidence,
+            reasons,
+            needsReview,
+            source: 'lookup',
+            releaseKind: 'collection',
+            collection: {
+                tmdbCollectionId: collection ? collection.id : null,
+                name,
+                movies: movies.map(movie => ({
+                    id: movie.id,
+                    title: movie.title || movie.name,
+                    release_date: movie.release_date || null,
+                    poster_path: movie.poster_path || null,
+                    overview: movie.overview || '',
+                    popularity: movie.popularity || 0,
+                    vote_average: movie.vote_average || 0,
+                    media_type: 'movie'
+                }))
+            }
+        };
+    },
+
+    /*Score a search result based on strategy and match quality*/
+    scoreSearchResult(result, originalTitle, targetYear, strategyPriority) {
+        let score = result.matchScore || 0;
+        
+        // Bonus for high-priority search strategies
+        if (strategyPriority === 'high') score += 20;
+        else if (strategyPriority === 'medium') score += 10;
+        
+        // Additional scoring for exact matches
+        const resultTitle = (result.title || result.name || '').toLowerCase();
+        const cleanOriginal = originalTitle.toLowerCase().trim();
+        
+        if (resultTitle === cleanOriginal) score += 25;
+        
+        // Year match bonus
+        if (targetYear) {
+            const resultYear = this.extractYearFromDate(result.release_date || result.first_air_date);
+            if (resultYear === parseInt(targetYear)) score += 20;
+        }
+        
+        // NEW: Penalize if popularity is very low (likely wrong match)
+        if (result.popularity && result.popularity < 1) score -= 10;
+        
+        // NEW: Bonus for higher vote counts (more established movies)
+        if (result.vote_count && result.vote_count > 100) score += 5;
+
+        return Math.max(0, score);
+    },
+    
+    /* Find the best TMDB match using multiple criteria */
+    findBestTMDBMatch(results, originalTitle, targetYear = null) {
+        if (results.length === 1) {
+            return results[0];
+        }
+
+        this.log(`\n=== TMDB MATCHING DEBUG ===`);
+        this.log(`Original title: "${originalTitle}"`);
+        this.log(`Target year: ${targetYear}`);
+        this.log(`Candidates (${results.length}):`);
+
+        const scoredResults = this.rankCandidates(results, originalTitle, targetYear);
+        scoredResults.forEach(item => {
+            this.log(`  "${item.title || item.name}" (${item.matchYear || 'no year'}) - Score: ${item.matchScore.toFixed(1)} [${item.debugInfo}]`);
+        });
+
+        const winner = scoredResults[0];
+        this.log(`\nWinner: "${winner.title || winner.name}" with score ${winner.matchScore.toFixed(1)}`);
+        this.log(`========================\n`);
+
+        return winner;
+    },
+
+    /* Add boost points (learned corrections) to matching candidates and re-sort */
+    applyBoosts(ranked, boosts) {
+        if (!boosts) return ranked;
+        return ranked
+            .map(candidate => {
+                const bonus = boosts[`${candidate.media_type}_${candidate.id}`] || 0;
+                if (!bonus) return candidate;
+                return {
+                    ...candidate,
+                    matchScore: candidate.matchScore + bonus,
+                    scoreBreakdown: { ...candidate.scoreBreakdown, correction: bonus }
+                };
+            })
+            .sort((a, b) => b.matchScore - a.matchScore);
+    },
+
+    /* Key for an exact raw UPC title: lowercase, punctuation and spacing collapsed */
+    correctionKey(rawTitle) {
+        return (rawTitle || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 200);
+    },
+
+    /* Key shared by "similar" UPC titles: the cleaned, normalized title */
+    similarTitleKey(rawTitle) {
+        return this.normalizeTitle(this.cleanMovieTitle(rawTitle || ''));
+    },
+
+    /* Score every result and sort highest first */
+    rankCandidates(results, originalTitle, targetYear = null) {
+        const scored = results.map(item => this.scoreCandidate(item, originalTitle, targetYear));
+
+        // Only penalize subtitles when the exact title is among the results to fall back on
+        const ours = this.normalizeTitle(originalTitle || '');
+        const hasExactTitle = ours && scored.some(item => this.normalizeTitle(item.title || item.name || '') === ours);
+        return scored
+            .map(item => {
+                const theirs = this.normalizeTitle(item.title || item.name || '');
+                if (!hasExactTitle || theirs === ours || !theirs.includes(ours)) return item;
+                return {
+                    ...item,
+                    matchScore: item.matchScore - this.SUBTITLE_PENALTY,
+                    scoreBreakdown: { ...item.scoreBreakdown, subtitle: -this.SUBTITLE_PENALTY },
+                    debugInfo: `${item.debugInfo}, Subtitle: -${this.SUBTITLE_PENALTY}`
+                };
+            })
+            .sort((a, b) => b.matchScore - a.matchScore);
+    },
+
+    /**
+     * Scores one TMDB search result against the cleaned UPC title.
+     * @returns {object} The item plus matchScore, matchYear, scoreBreakdown
+     *   ({titleSimilarity, yearDelta, year, popularity, mediaType, votes}) and a debugInfo string
+     */
+    scoreCandidate(item, originalTitle, targetYear = null) {
+        const itemTitle = item.title || item.name;
+        const itemYear = this.extractYearFromDate(item.release_date || item.first_air_date);
+        const breakdown = { titleSimilarity: 0, yearDelta: null, year: 0, popularity: 0, mediaType: 0, votes: 0 };
+        const debugInfo = [];
+
+        // 1. Title similarity (most important - 40 points max)
+        breakdown.titleSimilarity = this.calculateTitleSimilarity(originalTitle, itemTitle);
+        debugInfo.push(`Title: ${breakdown.titleSimilarity.toFixed(1)}`);
+
+        // 2. Year matching (30 points max)
+        if (targetYear && itemYear) {
+            const yearDiff = Math.abs(targetYear - itemYear);
+            breakdown.yearDelta = yearDiff;
+            if (yearDiff === 0) {
+                breakdown.year = 30;
+                debugInfo.push(`Year: +30 (exact)`);
+            } else if (yearDiff === 1) {
+                breakdown.year = 20;
+                debugInfo.push(`Year: +20 (±1)`);
+            } else if (yearDiff <= 3) {
+                breakdown.year = 10;
+                debugInfo.push(`Year: +10 (±${yearDiff})`);
+            } else {
+                debugInfo.push(`Year: +0 (±${yearDiff})`);
+            }
+        } else if (!targetYear) {
+            debugInfo.push(`Year: N/A`);
+        }
+
+        // 3. Popularity bonus (15 points max)
+        breakdown.popularity = Math.min((item.popularity || 0) / 10, 15);
+        debugInfo.push(`Pop: ${breakdown.popularity.toFixed(1)}`);
+
+        // 4. Media type preference (10 points max)
+        if (item.media_type === 'movie') {
+            breakdown.mediaType = 10; // Prefer movies for physical media
+            debugInfo.push(`Type: +10 (movie)`);
+        } else {
+            debugInfo.push(`Type: +0 (tv)`);
+        }
+
+        // 5. Vote average bonus (5 points max)
+        breakdown.votes = Math.min((item.vote_average || 0) / 2, 5);
+        debugInfo.push(`Vote: ${breakdown.votes.toFixed(1)}`);
+
+        const score = breakdown.titleSimilarity + breakdown.year + breakdown.popularity + breakdown.mediaType + breakdown.votes;
+
+        return {
+            ...item,
+            matchScore: score,
+            matchYear: itemYear,
+            scoreBreakdown: breakdown,
+            debugInfo: debugInfo.join(', ')
+        };
+    },
+
+    /* One-line explanation of a candidate's score breakdown for review UIs */
+    formatScoreBreakdown(breakdown) {
+        if (!breakdown) return '';
+        const parts = [`title ${breakdown.titleSimilarity.toFixed(0)}/40`];
+        if (breakdown.yearDelta !== null) {
+            parts.push(breakdown.yearDelta === 0 ? 'same year' : `year ±${breakdown.yearDelta}`);
+        }
+        parts.push(`popularity ${breakdown.popularity.toFixed(1)}`);
+        if (breakdown.subtitle) parts.push(`subtitle ${breakdown.subtitle}`);
+        if (breakdown.correction) parts.push(`learned +${breakdown.correction}`);
+        if (breakdown.credits) parts.push(`credits +${breakdown.credits} (${breakdown.creditMatches.join(', ')})`);
+        if (breakdown.strategy) parts.push(`via ${breakdown.strategy} (${breakdown.strategyPriority})`);
+        return parts.join(' · ');
+    },
+
+    /* Compact candidate for review UIs: identity, poster and how it scored */
+    summarizeCandidate(candidate, strategy, strategyScore) {
+        return {
+            id: candidate.id,
+            media_type: candidate.media_type,
+            title: candidate.title || candidate.name,
+            year: candidate.matchYear || null,
+            poster_path: candidate.poster_path || null,
+            overview: candidate.overview || '',
+            matchScore: candidate.matchScore,
+            score: strategyScore,
+            breakdown: {
+                ...candidate.scoreBreakdown,
+                strategy: strategy.query,
+                strategyPriority: strategy.priority
+            }
+        };
+    },
+
+    /**
+     * Confidence model: scores a chosen match 0-1 and explains what lowered it.
+     * Title similarity carries most of the weight, then year agreement (only when the
+     * UPC title has a year), then TMDB popularity. Thresholds come from MATCH_THRESHOLDS,
+     * overridden per user.
+     * @param {object} match - TMDB details or search result (title/name, dates, popularity)
+     * @param {string} cleanTitle - Title the search ran with
+     * @param {number|null} targetYear - Year extracted from the UPC title
+     * @param {object|null} thresholds - Per-user overrides of MATCH_THRESHOLDS
+     * @returns {{confidence: number, reasons: string[], needsReview: boolean}}
+     */
+    assessMatch(match, cleanTitle, targetYear = null, thresholds = null) {
+        const limits = { ...this.MATCH_THRESHOLDS, ...this.normalizeThresholds(thresholds) };
+
+        if (!match || match.needsManualReview) {
+            return { confidence: 0, reasons: ['no TMDB match found'], needsReview: true };
+        }
+
+        const reasons = [];
+        let flagged = false;
+        const matchTitle = match.title || match.name || '';
+
+        // Title: 0-40 similarity points, plus a note on how the titles differ
+        const titleFactor = this.calculateTitleSimilarity(cleanTitle, matchTitle) / 40;
+        const factors = [{ weight: 0.6, value: titleFactor }];
+        const ours = this.normalizeTitle(cleanTitle || '');
+        const theirs = this.normalizeTitle(matchTitle);
+        if (ours !== theirs) {
+            if (theirs.includes(ours)) reasons.push(`TMDB title has an extra subtitle ("${matchTitle}")`);
+            else if (ours.includes(theirs)) reasons.push(`title contains extra words not in "${matchTitle}"`);
+            else if (titleFactor < 0.75) reasons.push(`title only ${Math.round(titleFactor * 100)}% similar to "${matchTitle}"`);
+        }
+
+        // Year: only scored when the UPC title gave us one
+        if (targetYear) {
+            const resultYear = this.extractYearFromDate(match.release_date || match.first_air_date);
+            const yearDelta = resultYear ? Math.abs(resultYear - targetYear) : null;
+            const yearFactor = yearDelta === null ? 0
+                : yearDelta === 0 ? 1
+                : yearDelta === 1 ? 0.75
+                : yearDelta <= 3 ? 0.4
+                : 0;
+            factors.push({ weight: 0.25, value: yearFactor });
+
+            if (yearDelta === null) {
+                reasons.push(`no TMDB release year to check against ${targetYear}`);
+                flagged = true;
+            } else if (yearDelta > limits.maxYearDelta) {
+                reasons.push(`year mismatch by ${yearDelta} (${targetYear} vs ${resultYear})`);
+                flagged = true;
+            }
+        }
+
+        // Popularity: obscure entries are usually the wrong film with a similar name
+        const popularity = match.popularity || 0;
+        factors.push({ weight: 0.15, value: Math.min(popularity / 10, 1) });
+        if (popularity && popularity < limits.minPopularity) {
+            reasons.push(`low TMDB popularity (${popularity.toFixed(1)})`);
+            flagged = true;
+        }
+
+        // A runner-up that scored almost as well means the pick is a coin flip
+        const [best, runnerUp, ...others] = match.candidates || [];
+        if (best && runnerUp && best.matchScore - runnerUp.matchScore < 5) {
+            reasons.push(`close runner-up: "${runnerUp.title}"${runnerUp.year ? ` (${runnerUp.year})` : ''}`);
+            flagged = true;
+        }
+
+        // A subtitled pick ("Gladiator II") beat a candidate whose title is exactly ours ("Gladiator")
+        if (ours !== theirs && theirs.includes(ours)) {
+            const exactTitle = [runnerUp, ...others].find(candidate => candidate && this.normalizeTitle(candidate.title || '') === ours);
+            if (exactTitle) {
+                reasons.push(`"${exactTitle.title}"${exactTitle.year ? ` (${exactTitle.year})` : ''} matches the title exactly`);
+                flagged = true;
+            }
+        }
+
+        const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+        const confidence = factors.reduce((sum, factor) => sum + factor.weight * factor.value, 0) / totalWeight;
+
+        if (confidence < limits.minConfidence) {
+            reasons.unshift(`confidence ${Math.round(confidence * 100)}% is below ${Math.round(limits.minConfidence * 100)}%`);
+            flagged = true;
+        }
+
+        this.log(`🔍 assessMatch: "${matchTitle}" confidence ${confidence.toFixed(2)}, review: ${flagged}`, reasons);
+        return { confidence, reasons, needsReview: flagged };
+    },
+
+    /**
+     * Keeps only valid threshold overrides (from a user profile or a request body).
+     * @param {object|null} raw - { minConfidence: 0-1, maxYearDelta: 0-10, minPopularity: 0-100 }
+     * @returns {object} The valid subset
+     */
+    normalizeThresholds(raw) {
+        const thresholds = {};
+        if (!raw || typeof raw !== 'object') return thresholds;
+
+        const ranges = { minConfidence: [0, 1], maxYearDelta: [0, 10], minPopularity: [0, 100] };
+        Object.entries(ranges).forEach(([key, [min, max]]) => {
+            const value = Number(raw[key]);
+            if (raw[key] !== null && raw[key] !== '' && Number.isFinite(value) && value >= min && value <= max) {
+                thresholds[key] = value;
+            }
+        });
+        return thresholds;
+    },
+
+    /* True when the match should go to manual review; see assessMatch for the reasons */
+    needsManualReview(bestMatch, originalTitle, targetYear, thresholds = null) {
+        return this.assessMatch(bestMatch, originalTitle, targetYear, thresholds).needsReview;
+    },
+
+    /* Calculate title similarity using multiple methods */
+    calculateTitleSimilarity(original, candidate) {
+        if (!original || !candidate) return 0;
+
+        const origClean = this.normalizeTitle(original);
+        const candClean = this.normalizeTitle(candidate);
+
+        // Exact match gets full points; differing only by an article ("Final Cut" vs "The Final Cut")
+        // scores a little lower, so the film whose title matches word for word wins the tie
+        if (origClean === candClean) {
+            const withArticles = value => value.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+            return withArticles(original) === withArticles(candidate) ? 40 : 38;
+        }
+
+        // Check if one contains the other
+        if (origClean.includes(candClean) || candClean.includes(origClean)) {
+            return 35;
+        }
+
+        // Levenshtein distance-based scoring
+        const distance = this.levenshteinDistance(origClean, candClean);
+        const maxLength = Math.max(origClean.length, candClean.length);
+        const similarity = 1 - (distance / maxLength);
+        
+        // Word overlap scoring
+        const origWords = new Set(origClean.split(/\s+/));
+        const candWords = new Set(candClean.split(/\s+/));
+        const intersection = new Set([...origWords].filter(word => candWords.has(word)));
+        const union = new Set([...origWords, ...candWords]);
+        const wordSimilarity = intersection.size / union.size;
+
+        // Combine the scores
+        const combinedScore = (similarity * 0.6 + wordSimilarity * 0.4) * 40;
+        
+        return Math.max(0, combinedScore);
+    },
+
+    /* Normalize title for comparison */
+    normalizeTitle(title) {
+        return title
+            .toLowerCase()
+            .replace(/[^\w\s]/g, '') // Remove punctuation
+            .replace(/\b(the|a|an)\b/g, '') // Remove articles
+            .replace(/\s+/g, ' ') // Normalize whitespace
+            .trim();
+    },
+
+    /* Calculate Levenshtein distance between two strings */
+    levenshteinDistance(str1, str2) {
+        const matrix = [];
+        
+        for (let i = 0; i <= str2.length; i++) {
+            matrix[i] = [i];
+        }
+        
+        for (let j = 0; j <= str1.length; j++) {
+            matrix[0][j] = j;
+        }
+        
+        for (let i = 1; i <= str2.length; i++) {
+            for (let j = 1; j <= str1.length; j++) {
+                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+                    matrix[i][j] = matrix[i - 1][j - 1];
+                } else {
+                    matrix[i][j] = Math.min(
+                        matrix[i - 1][j - 1] + 1,
+                        matrix[i][j - 1] + 1,
+                        matrix[i - 1][j] + 1
+                    );
+                }
+            }
+        }
+        
+        return matrix[str2.length][str1.length];
+    },
+
+    /* Extract year from TMDB date string */
+    extractYearFromDate(dateString) {
+        if (!dateString) return null;
+        const year = parseInt(dateString.substring(0, 4));
+        return (year >= 1900 && year <= 2030) ? year : null;
+    },
+
+    // Studio names removed from either end of a UPC title ("Paramount Pictures The Godfather")
+    STUDIO_NAMES: [
+        'warner home video', 'warner bros', 'sony pictures', 'alpha video', 'universal studios',
+        'paramount pictures', 'columbia pictures', '20th century fox', 'fox searchlight', 'mgm',
+        'lionsgate', 'criterion collection', 'anchor bay'
+    ],
+
+    // Packaging, edition and retail words removed only from the end of a UPC title.
+    // Words that also start real titles ("Disney's", "Universal Soldier") are trailing-only here,
+    // and "Fox", "Magnolia" and "Searchlight" are left alone because they end real titles.
+    TRAILING_TITLE_NOISE: [
+        // Formats and packaging
+        '4K Ultra HD', 'Ultra HD', '4K UHD', '4K', 'UHD', 'Blu-ray', 'Blu Ray', 'BluRay', 'BD', 'HD',
+        'DVD', 'Digital Copy', 'Digital HD', 'Digital', 'VHS', 'Combo Pack', 'Steelbook',
+        'Widescreen', 'Full Screen', 'Fullscreen', 'Full Frame', 'Anamorphic', 'Pan & Scan',
+        // Editions and cuts
+        "Director's Cut", 'Directors Cut', 'Extended Cut', 'Theatrical Cut', 'The Final Cut', 'Final Cut',
+        'Extended Edition', 'Special Edition', "Collector's Edition", 'Collectors Edition',
+        'Limited Edition', '\\d+(?:st|nd|rd|th) Anniversary Edition', 'Anniversary Edition',
+        'Ultimate Edition', 'Deluxe Edition', 'Unrated Edition', 'Widescreen Edition', 'Fullscreen Edition',
+        'Full Screen Edition', 'Edition', 'Theatrical Version', 'Theatrical', 'Unrated', 'Extended', 'Deluxe',
+        '2-Disc', '2 Disc', 'Two-Disc', 'Two Disc', '2-Disk', '2 Disk', 'Two-Disk', 'Two Disk',
+        '\\d+-Disc Set', 'Disc \\d+', 'Side [AB]',
+        "Version You've Never Seen", 'Special Features', 'Bonus Material', 'Behind the Scenes',
+        // Regions
+        'Region \\d', 'Region [ABC]', 'All Regions', 'Region Free',
+        // Retail categories and condition
+        'comedy', 'drama', 'action', 'thriller', 'horror', 'romance', 'sci-fi', 'fantasy', 'adventure',
+        'documentary', 'sealed',
+        // Studios that only appear as a suffix
+        'disney', 'pixar', 'paramount', 'universal'
+    ],
+
+    // Condition and market words that also end real titles ("Brand New", "The New World", "Complete"),
+    // so they are only noise when more noise comes right before them ("Heat DVD New", "Alien Region 1 UK")
+    TRAILING_QUALIFIER_NOISE: ['Brand New', 'New', 'Used', 'US', 'UK', 'Complete'],
+
+    /* Clean movie title by removing format indicators and years */
+    cleanMovieTitle(title) {
+        return this.cleanMovieTitleDetailed(title).title;
+    },
+
+    // A trailing credit phrase; "with" is left alone since it starts too many real titles' words
+    CREDIT_PHRASE: /(^|[\s,:;/+-])((?:starring|featuring|directed\s+by|a\s+film\s+by)\s+[^;/]+)$/i,
+
+    /**
+     * Position-aware title cleaning. Strips bracketed metadata anywhere, studio names at either
+     * end and packaging/edition words and credit phrases only from the end, so words inside real
+     * titles survive ("Fantastic Mr. Fox", "Final Cut", "Horror Express").
+     * @param {string} title - Raw UPC product title
+     * @returns {{title: string, removed: string[]}} Cleaned title and the tokens that were stripped, in order
+     */
+    cleanMovieTitleDetailed(title) {
+        if (!title) return { title: '', removed: [] };
+
+        const removed = [];
+        let cleaned = title;
+
+        // Step 1: Bracketed metadata such as "(1979)" or "[Blu-ray]"
+        cleaned = cleaned.replace(/[\(\[][^\)\]]*[\)\]]/g, match => {
+            removed.push(match);
+            return ' ';
+        });
+
+        // Step 2: Leading studio names
+        const studioPattern = this.STUDIO_NAMES.join('|');
+        const leadingStudio = new RegExp(`^\\s*(${studioPattern})\\b[\\s:,-]*`, 'i');
+        let studioMatch;
+        while ((studioMatch = cleaned.match(leadingStudio)) && /\w/.test(cleaned.slice(studioMatch[0].length))) {
+            removed.push(studioMatch[1]);
+            cleaned = cleaned.slice(studioMatch[0].length);
+        }
+
+        // Step 3: Peel packaging, edition, year and studio words off the end, longest match first,
+        // never removing the last word of the title
+        const currentYear = new Date().getFullYear();
+        const trailingPatterns = [
+            ...this.TRAILING_TITLE_NOISE,
+            ...this.STUDIO_NAMES.map(studio => studio.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        ].map(pattern => new RegExp(`(^|[\\s,:;/+-])(${pattern})$`, 'i'));
+        const qualifierPattern = new RegExp(`(^|[\\s,:;/+-])(${this.TRAILING_QUALIFIER_NOISE.join('|')})$`, 'i');
+
+        let stripping = true;
+        while (stripping) {
+            stripping = false;
+            cleaned = cleaned.replace(/[\s,:;/+&-]+$/, '');
+
+            let best = null;
+            for (const pattern of trailingPatterns) {
+                const match = cleaned.match(pattern);
+                if (match && (!best || match[2].length > best[2].length)) best = match;
+            }
+
+            const qualifierMatch = cleaned.match(qualifierPattern);
+            if (!best && qualifierMatch) {
+                const before = cleaned.slice(0, qualifierMatch.index + qualifierMatch[1].length).replace(/[\s,:;/+&-]+$/, '');
+                if (trailingPatterns.some(pattern => pattern.test(before))) best = qualifierMatch;
+            }
+
+            // Years only count as noise when they are plausible release years ("Blade Runner 2049" stays)
+            const yearMatch = cleaned.match(/(^|\s)((?:19|20)\d{2})$/);
+            if (!best && yearMatch && parseInt(yearMatch[2]) <= currentYear + 2) best = yearMatch;
+
+            // Credit phrases ("starring X", "directed by Y") - the names feed extractCreditHints instead
+            const creditMatch = cleaned.match(this.CREDIT_PHRASE);
+            if (!best && creditMatch) best = creditMatch;
+
+            if (best) {
+                const keep = cleaned.slice(0, best.index + best[1].length);
+                if (/\w/.test(keep)) {
+                    removed.push(best[2]);
+                    cleaned = keep;
+                    stripping = true;
+                }
+            }
+        }
+
+        // Step 4: Fix missing apostrophes ("Schindler s List", "don t", "you re", "I ve", "I ll")
+        cleaned = cleaned.replace(/(\w) (s|t|re|ve|ll)\b/g, "$1'$2");
+
+        // Step 5: Clean up whitespace and punctuation, keeping dots for abbreviations ("S.W.A.T.", "Mr.")
+        cleaned = cleaned
+            .replace(/[^\w\s&'.-]/g, '') // Keep only word chars, spaces, &, ', ., -
+            .replace(/\s+/g, ' ')  // Multiple spaces to single
+            .replace(/^[^\w]+/, '') // Remove leading non-word chars
+            .replace(/(\s+\.|[^\w.])+$/, '') // Remove trailing non-word chars
+            .trim();
+
+        // Step 6: Proper case the result (no capital after an apostrophe)
+        cleaned = cleaned.toLowerCase().replace(/(^|[^\w'])(\w)/g, (match, before, letter) => before + letter.toUpperCase());
+
+        // If cleaning resulted in empty or very short string, return original
+        if (cleaned.length < 2) {
+            return { title: title.trim(), removed: [] };
+        }
+
+        this.log(`Title cleaning: "${title}" → "${cleaned}"${removed.length ? ` (removed: ${removed.join(', ')})` : ''}`);
+        return { title: cleaned, removed };
+    },
+
+    /* Extract year from title string */
+    extractYearFromTitle(title) {
+        if (!title) return null;
+        
+        const yearMatch = title.match(/\b(19|20)\d{2}\b/);
+        if (yearMatch) {
+            const year = parseInt(yearMatch[0]);
+            const currentYear = new Date().getFullYear();
+            // Validate year is reasonable
+            if (year >= 1900 && year <= currentYear + 2) {
+                return year;
+            }
+        }
+        return null;
+    },
+    /* Actor and director names printed on the package, for search strategies and credit checks */
+    extractCreditHints(title) {
+        return { actors: this.extractActorNames(title), directors: this.extractDirectorHints(title) };
+    },
+
+    extractActorNames(title) {
+        if (!title) return [];
+        
+        // Common patterns like "Movie starring Actor" or "Actor in Movie"
+        const patterns = [
+            /starring\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/gi,
+            /with\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/gi,
+            /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)\s+in/gi,
+            /featuring\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/gi
+        ];
+        
+        const actors = [];
+        patterns.forEach(pattern => {
+            let match;
+            while ((match = pattern.exec(title)) !== null) {
+                const actorName = match[1].trim();
+                if (actorName.length > 3 && !actors.includes(actorName)) {
+                    actors.push(actorName);
+                }
+            }
+        });
+        return actors;
+    },
+        
+    extractDirectorHints(title) {
+        if (!title) return [];
+        
+        const patterns = [
+            /directed\s+by\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/gi,
+            /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)\s+film/gi,
+            /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)\s+movie/gi,
+            /from\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/gi
+        ];
+        
+        const directors = [];
+        patterns.forEach(pattern => {
+            let match;
+            while ((match = pattern.exec(title)) !== null) {
+                const directorName = match[1].trim();
+                if (directorName.length > 3 && !directors.includes(directorName)) {
+                    directors.push(directorName);
+                }
+            }
+        });
+        return directors;
+    },
+
+    /* Create physical edition data from UPC information */
+    createPhysicalEditionData(upcData) {
+            return {
+            format: this.extractFormat(upcData.originalTitle, upcData.category),
+            edition: this.extractEdition(upcData.originalTitle),
+            region: this.extractRegion(upcData.originalTitle, upcData.description),
+            distributor: upcData.brand || '',
+            features: this.extractFeatures(upcData.originalTitle, upcData.description),
+            barcode: upcData.barcode
+        };
+    },
+
+    /* Extract media format from title and category */
+    extractFormat(title, category) {
+        const formats = ['4K', 'UHD', 'Ultra HD', 'Blu-ray', 'Blu Ray', 'DVD', 'Digital', 'VHS'];
+        const titleUpper = (title || '').toUpperCase();
+        const categoryUpper = (category || '').toUpperCase();
+        
+        for (const format of formats) {
+            if (titleUpper.includes(format.toUpperCase()) || categoryUpper.includes(format.toUpperCase())) {
+                if (format === 'Blu Ray') return 'Blu-ray';
+                if (format === 'Ultra HD' || titleUpper.includes('4K')) return '4K UHD';
+                return format;
+            }
+        }
+        
+        // Default assumption based on common patterns
+        if (titleUpper.includes('HD') || categoryUpper.includes('HD')) return 'Blu-ray';
+        return 'DVD';
+    },
+
+    /**
+     * Extract edition type from the edition phrases cleanMovieTitleDetailed peels off the end of
+     * the title, so the same words inside a title ("Final Cut", "The Director", "Extended Family")
+     * don't count. Earlier entries win when several phrases were removed.
+     */
+    extractEdition(title) {
+        const editions = [
+            'Director\'s Cut', 'Extended Edition', 'Special Edition', 'Collector\'s Edition',
+            'Limited Edition', 'Anniversary Edition', 'Theatrical Release', 'Unrated',
+            'Ultimate Edition', 'Criterion Collection', 'Collector', 'Edition','Director','Extended','Cut',
+            'Two-Disk', '2-Disk','2-Disc','Two-Disc','2 Disk','2 Disc','Two Disk','Two Disc'
+        ];
+        
+        // Credit phrases are peeled off too, but "directed by" is not an edition
+        const phrases = this.cleanMovieTitleDetailed(title).removed
+            .filter(phrase => !this.CREDIT_PHRASE.test(phrase))
+            .map(phrase => phrase.toLowerCase());
+        
+        for (const edition of editions) {
+            if (phrases.some(phrase => phrase.includes(edition.toLowerCase()))) {
+                return edition;
+            }
+        }
+        
+        return 'Standard';
+    },
+
+    /**
+     * Extract region information
+     */
+    extractRegion(title, description) {
+        const regions = ['Region 1', 'Region 2', 'Region 3', 'Region A', 'Region B', 'Region C', 'All Regions', 'Region Free'];
+        const searchText = `${title || ''} ${description || ''}`.toLowerCase();
+        
+        for (const region of regions) {
+            if (searchText.includes(region.toLowerCase())) {
+                return region;
+            }
+        }
+        
+        // Default assumption for US market
+        return 'Region 1';
+    },
+
+    /**
+     * Extract special features from title and description
+     */
+    extractFeatures(title, description) {
+        const features = [];
+        const searchText = `${title || ''} ${description || ''}`.toLowerCase();
+        
+        const featureMap = {
+            'commentary': 'Director Commentary',
+            'deleted scenes': 'Deleted Scenes',
+            'behind the scenes': 'Behind the Scenes',
+            'making of': 'Making Of',
+            'bloopers': 'Bloopers/Outtakes',
+            'gag reel': 'Bloopers/Outtakes',
+            'documentary': 'Documentary',
+            'interviews': 'Cast/Crew Interviews',
+            'featurette': 'Featurettes',
+            'trailer': 'Trailers',
+            'music video': 'Music Videos'
+        };
+        
+        Object.entries(featureMap).forEach(([keyword, feature]) => {
+            if (searchText.includes(keyword)) {
+                features.push(feature);
+            }
+        });
+        
+        return features;
+    },
+    
+    extractReleaseType(title) {
+        const types = ['Initial Release', 'Re-release', 'Special Release', 'Anniversary'];
+        const titleLower = title.toLowerCase();
+        
+        if (titleLower.includes('anniversary')) return 'Anniversary';
+        if (titleLower.includes('special')) return 'Special Release';
+        if (titleLower.includes('re-release') || titleLower.includes('rerelease')) return 'Re-release';
+        
+        return 'Initial Release';
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.MediaMatching = MediaMatching;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MediaMatching };
+}
@@ -126,11 +126,15 @@ const ModalManager = {
         // --- START OF FIX ---
         // Use a reliable setTimeout instead of the 'transitionend' event.
         // The timeout duration should match the CSS transition duration (300ms).
+        // Remove this overlay only: a modal shown during the fade-out has replaced it by then.
+        const overlay = this.overlayElement;
         setTimeout(() => {
-            if (this.overlayElement && this.overlayElement.parentNode) {
-                this.overlayElement.parentNode.removeChild(this.overlayElement);
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+            if (this.overlayElement === overlay) {
+                this.overlayElement = null;
             }
-            this.overlayElement = null;
         }, 300); // 300ms matches your --transition-normal variable
         // --- END OF FIX ---
     },
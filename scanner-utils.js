@@ -1,28 +1,232 @@
 // scanner-utils.js - Centralized Scanner and Media Lookup Utilities
 // Include this file after utils.js and cache.js in all HTML pages that need scanning
 
+/**
+ * BARCODE DECODER BACKENDS
+ * ScannerManager streams the camera through one of these. Every backend has the same shape:
+ *   name                                  - 'native' or 'zxing'
+ *   static isSupported()                  - Promise<boolean>, whether this browser can use it
+ *   listCameras()                         - Promise<{deviceId, label}[]>
+ *   start(deviceId, videoElement, onCode) - streams the camera into the video element and calls
+ *                                           onCode(text, format) for every barcode it reads
+ *   stop()                                - releases the camera
+ *   decodeImage(canvas)                   - Promise<{text, format}[]>, every barcode in a still image
+ * format uses BarcodeDetector's names ('upc_a', 'ean_8', ...) so callers can canonicalize codes.
+ */
+
+/* Browser-native BarcodeDetector: decodes off the main JS thread, much faster on older phones */
+class NativeBarcodeBackend {
+    static FORMATS = ['upc_a', 'upc_e', 'ean_13', 'ean_8', 'itf', 'code_128'];
+    static DETECT_INTERVAL_MS = 150;
+
+    static async isSupported() {
+        if (typeof window === 'undefined' || !('BarcodeDetector' in window)) return false;
+        try {
+            const formats = await window.BarcodeDetector.getSupportedFormats();
+            return formats.includes('upc_a') || formats.includes('ean_13');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    constructor() {
+        this.name = 'native';
+        this.detector = null;
+        this.stream = null;
+        this.videoElement = null;
+        this.timer = null;
+    }
+
+    async listCameras() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'videoinput');
+    }
+
+    async _getDetector() {
+        if (!this.detector) {
+            const formats = await window.BarcodeDetector.getSupportedFormats();
+            this.detector = new window.BarcodeDetector({
+                formats: NativeBarcodeBackend.FORMATS.filter(format => formats.includes(format))
+            });
+        }
+        return this.detector;
+    }
+
+    async start(deviceId, videoElement, onCode) {
+        await this._getDetector();
+
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            video: deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'environment' }
+        });
+        this.videoElement = videoElement;
+        videoElement.srcObject = this.stream;
+        await videoElement.play();
+
+        // One detect() at a time; the next frame is read only after the last one finishes
+        const detectFrame = async () => {
+            if (!this.stream) return;
+            try {
+                if (videoElement.readyState >= videoElement.HAVE_CURRENT_DATA) {
+                    const barcodes = await this.detector.detect(videoElement);
+                    barcodes.forEach(barcode => onCode(barcode.rawValue, barcode.format));
+                }
+            } catch (error) {
+                console.warn('Scanner error:', error);
+            }
+            if (this.stream) {
+                this.timer = setTimeout(detectFrame, NativeBarcodeBackend.DETECT_INTERVAL_MS);
+            }
+        };
+        detectFrame();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.videoElement) {
+            this.videoElement.srcObject = null;
+            this.videoElement = null;
+        }
+    }
+
+    async decodeImage(canvas) {
+        const detector = await this._getDetector();
+        const barcodes = await detector.detect(canvas);
+        return barcodes.map(barcode => ({ text: barcode.rawValue, format: barcode.format }));
+    }
+}
+
+/* ZXing in JavaScript: works everywhere the library loads, used where BarcodeDetector is missing */
+class ZXingBarcodeBackend {
+    static async isSupported() {
+        return typeof ZXing !== 'undefined' && !!ZXing.BrowserMultiFormatReader;
+    }
+
+    constructor() {
+        this.name = 'zxing';
+        this.codeReader = new ZXing.BrowserMultiFormatReader();
+    }
+
+    listCameras() {
+        return this.codeReader.listVideoInputDevices();
+    }
+
+    async start(deviceId, videoElement, onCode) {
+        await this.codeReader.decodeFromVideoDevice(deviceId, videoElement, (result, error) => {
+            if (result) {
+                onCode(result.text, ZXingBarcodeBackend.formatName(result));
+            } else if (error && !(error instanceof ZXing.NotFoundException)) {
+                console.warn('Scanner error:', error);
+            }
+        });
+    }
+
+    stop() {
+        this.codeReader.reset();
+    }
+
+    // ZXing reads one barcode per pass, so a photo of a stack is also read in overlapping tiles
+    async decodeImage(canvas) {
+        const reader = new ZXing.MultiFormatReader();
+        const hints = new Map([[ZXing.DecodeHintType.TRY_HARDER, true]]);
+        const found = new Map(); // text -> { text, format }
+
+        for (const { x, y, width, height } of ZXingBarcodeBackend.tiles(canvas.width, canvas.height)) {
+            const tile = document.createElement('canvas');
+            tile.width = width;
+            tile.height = height;
+            tile.getContext('2d').drawImage(canvas, x, y, width, height, 0, 0, width, height);
+            try {
+                const bitmap = new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(new ZXing.HTMLCanvasElementLuminanceSource(tile)));
+                const result = reader.decode(bitmap, hints);
+                found.set(result.getText(), { text: result.getText(), format: ZXingBarcodeBackend.formatName(result) });
+            } catch (error) {
+                // NotFound/Checksum/Format exceptions: nothing readable in this tile
+            }
+            // Let the page repaint between tiles
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        return [...found.values()];
+    }
+
+    /* ZXing's BarcodeFormat enum as BarcodeDetector names it (EAN_8 -> 'ean_8') */
+    static formatName(result) {
+        const name = ZXing.BarcodeFormat[result.getBarcodeFormat()];
+        return name ? name.toLowerCase() : null;
+    }
+
+    /* The whole image, then 2x2 and 3x3 grids whose tiles overlap by a quarter */
+    static tiles(width, height) {
+        const tiles = [{ x: 0, y: 0, width, height }];
+        for (const divisions of [2, 3]) {
+            const tileWidth = Math.min(width, Math.round(width / divisions * 1.25));
+            const tileHeight = Math.min(height, Math.round(height / divisions * 1.25));
+            for (let row = 0; row < divisions; row++) {
+                for (let col = 0; col < divisions; col++) {
+                    const x = Math.round(col * width / divisions - (tileWidth - width / divisions) / 2);
+                    const y = Math.round(row * height / divisions - (tileHeight - height / divisions) / 2);
+                    tiles.push({
+                        x: Math.max(0, Math.min(x, width - tileWidth)),
+                        y: Math.max(0, Math.min(y, height - tileHeight)),
+                        width: tileWidth,
+                        height: tileHeight
+                    });
+                }
+            }
+        }
+        return tiles;
+    }
+}
+
 /**
  * SCANNER MANAGER CLASS
- * Handles barcode scanning with ZXing library
+ * Handles barcode scanning with the native BarcodeDetector, falling back to ZXing
  */
 class ScannerManager {
+    // Backends in order of preference for config.decoder 'auto'
+    static BACKENDS = { native: NativeBarcodeBackend, zxing: ZXingBarcodeBackend };
+    static CAMERA_STORAGE_KEY = 'scanner_lastCamera'; // deviceIds are per device, so this stays local
+    static MAX_IMAGE_SIZE = 3000;   // Longest side photos are decoded at; small barcodes need the detail
+    static THUMBNAIL_SIZE = 320;    // Longest side of the photo copy attached to each barcode
+    // What a barcode scanned again in the same session does: nothing, count as another copy, or ask
+    static DUPLICATE_POLICIES = ['ignore', 'count', 'prompt'];
+    static REPRESENT_GAP_MS = 1500; // A code must leave the camera's view this long before it counts again
+
+    /**
+     * onBarcodeScanned(barcode, source, scan) - source is null or the photo it was read from
+     * (see scanImages); scan is { count, repeat }, count being how many times this session has
+     * accepted the barcode including this scan, so repeats are distinguishable from first scans.
+     * config.duplicatePolicy is one of DUPLICATE_POLICIES (default 'count'); for 'prompt',
+     * config.onDuplicate(barcode, previousCount, source) resolves true to accept the repeat.
+     */
     constructor(config = {}) {
         // Existing config...
         this.onBarcodeScanned = config.onBarcodeScanned || (() => {});
         this.onStatusUpdate = config.onStatusUpdate || (() => {});
         this.onError = config.onError || (() => {});
+        this.onDuplicate = config.onDuplicate || ((barcode, count, source) => ScannerUI.confirmDuplicateScan(barcode, count, source));
         this.continuous = config.continuous || false;
-        this.allowDuplicates = config.allowDuplicates || true;
+        this.duplicatePolicy = 'count';
+        // allowDuplicates is the older boolean form of duplicatePolicy
+        this.setDuplicatePolicy(config.duplicatePolicy || (config.allowDuplicates === false ? 'ignore' : 'count'));
         this.enableHapticFeedback = config.enableHapticFeedback !== false;
         this.pauseBetweenScans = config.pauseBetweenScans || 1500;
+        this.decoder = config.decoder || 'auto'; // 'auto', 'native' or 'zxing'
         
         // Enhanced state management
-        this.codeReader = null;
+        this.backend = null;
         this.videoInputDevices = [];
         this.isScanning = false;
         this.isPaused = false;
-        this.scannedBarcodes = new Set();
+        this.scanCounts = new Map(); // barcode -> scans accepted this session
+        this.lastAccepted = { barcode: null, seenAt: 0 }; // Camera code last handed on, and when it was last in view
         this.currentVideoElement = null;
+        this.currentCameraId = null;
+        this.statusElementId = null;
         
         // NEW: Add processing state tracking
         this.processingBarcodes = new Map(); // barcode -> timestamp
@@ -35,18 +239,14 @@ class ScannerManager {
     /*Initialize the scanner - must be called before use*/
     async initialize() {
         try {
-            if (typeof ZXing === 'undefined' || !ZXing.BrowserMultiFormatReader) {
-                throw new Error('ZXing library not loaded');
-            }
-            
-            this.codeReader = new ZXing.BrowserMultiFormatReader();
-            this.videoInputDevices = await this.codeReader.listVideoInputDevices();
+            this.backend = await this.createBackend();
+            this.videoInputDevices = await this.backend.listCameras();
             
             if (this.videoInputDevices.length === 0) {
                 throw new Error('No camera devices found');
             }
             
-            console.log(`Scanner initialized with ${this.videoInputDevices.length} camera(s)`);
+            console.log(`Scanner initialized with ${this.videoInputDevices.length} camera(s), ${this.backend.name} decoder`);
             setInterval(() => this.cleanupStaleProcessing(), 30000); // Run every 30s
             return true;
             
@@ -57,13 +257,28 @@ class ScannerManager {
         }
     }
 
+    /**
+     * Picks the first supported decoder backend allowed by config.decoder
+     * @returns {Promise<object>} A backend instance
+     */
+    async createBackend() {
+        const names = this.decoder === 'auto' ? Object.keys(ScannerManager.BACKENDS) : [this.decoder];
+        for (const name of names) {
+            const Backend = ScannerManager.BACKENDS[name];
+            if (Backend && await Backend.isSupported()) {
+                return new Backend();
+            }
+        }
+        throw new Error('No barcode decoder available (BarcodeDetector unsupported and ZXing not loaded)');
+    }
+
     /**
      * Start camera scanning
      * @param {HTMLVideoElement} videoElement - Video element to stream to
      * @param {string} statusElementId - ID of status message element (optional)
      */
     async startCamera(videoElement, statusElementId = null) {
-        if (!this.codeReader || this.videoInputDevices.length === 0) {
+        if (!this.backend || this.videoInputDevices.length === 0) {
             const error = 'Scanner not initialized or no cameras available';
             this.onError(error, 'start_camera');
             return false;
@@ -76,12 +291,14 @@ class ScannerManager {
 
         try {
             this.currentVideoElement = videoElement;
+            this.currentCameraId = this.getPreferredCameraId();
+            this.statusElementId = statusElementId;
             this.isScanning = true;
             this.isPaused = false;
             
             // Start decoding from camera
-            await this.codeReader.decodeFromVideoDevice(
-                this.videoInputDevices[0].deviceId,
+            await this.backend.start(
+                this.currentCameraId,
                 videoElement,
                 this.handleScanResult
             );
@@ -97,6 +314,7 @@ class ScannerManager {
             
         } catch (error) {
             console.error('Failed to start camera:', error);
+            this.backend.stop(); // Release a stream that opened before the failure
             this.isScanning = false;
             this.onError(`Camera error: ${error.message}`, 'camera_start');
             return false;
@@ -105,9 +323,9 @@ class ScannerManager {
 
     /* Stop camera and reset scanner */
     stopCamera() {
-        if (this.codeReader) {
+        if (this.backend) {
             try {
-                this.codeReader.reset();
+                this.backend.stop();
             } catch (error) {
                 console.warn('Error stopping camera:', error);
             }
@@ -120,6 +338,145 @@ class ScannerManager {
         console.log('Camera stopped');
     }
 
+    /**
+     * Cameras on this device; labels are only known once camera permission is granted
+     * @returns {Promise<{deviceId: string, label: string}[]>}
+     */
+    async listCameras() {
+        if (this.backend) {
+            this.videoInputDevices = await this.backend.listCameras();
+        }
+        return this.videoInputDevices.map((device, index) => ({
+            deviceId: device.deviceId,
+            label: device.label || `Camera ${index + 1}`
+        }));
+    }
+
+    /* The camera last chosen on this device if it is still connected, otherwise the default */
+    getPreferredCameraId() {
+        let savedId = null;
+        try {
+            savedId = localStorage.getItem(ScannerManager.CAMERA_STORAGE_KEY);
+        } catch (error) {
+            // Storage blocked - start on the default camera
+        }
+        const device = this.videoInputDevices.find(item => item.deviceId === savedId) || this.videoInputDevices[0];
+        return device ? device.deviceId : null;
+    }
+
+    /**
+     * Switch to another camera and remember it for next time; restarts the stream if scanning
+     * @param {string} deviceId - A deviceId from listCameras()
+     * @returns {Promise<boolean>} Whether the camera is now in use
+     */
+    async switchCamera(deviceId) {
+        if (!this.videoInputDevices.some(device => device.deviceId === deviceId)) {
+            this.onError('That camera is no longer available', 'switch_camera');
+            return false;
+        }
+
+        try {
+            localStorage.setItem(ScannerManager.CAMERA_STORAGE_KEY, deviceId);
+        } catch (error) {
+            console.warn('Could not remember camera choice:', error);
+        }
+
+        if (!this.isScanning) {
+            return true;
+        }
+        const videoElement = this.currentVideoElement;
+        const statusElementId = this.statusElementId;
+        this.stopCamera();
+        return this.startCamera(videoElement, statusElementId);
+    }
+
+    /* The running camera's video track, whichever backend opened it */
+    _videoTrack() {
+        const stream = this.currentVideoElement && this.currentVideoElement.srcObject;
+        return stream && stream.getVideoTracks ? stream.getVideoTracks()[0] || null : null;
+    }
+
+    /**
+     * What the running camera lets us adjust. Anything the browser or camera doesn't
+     * expose (most desktop webcams, iOS Safari) comes back false/null/empty.
+     * @returns {{torch: boolean, torchOn: boolean, zoom: object|null, focusModes: string[],
+     *   focusMode: string|null, focusDistance: object|null}} zoom and focusDistance are { min, max, step, value }
+     */
+    getCameraCapabilities() {
+        const track = this._videoTrack();
+        const capabilities = track && track.getCapabilities ? track.getCapabilities() : {};
+        const settings = track && track.getSettings ? track.getSettings() : {};
+
+        const range = (name) => {
+            const capability = capabilities[name];
+            if (!capability || !(capability.max > capability.min)) return null;
+            return {
+                min: capability.min,
+                max: capability.max,
+                step: capability.step || (capability.max - capability.min) / 100,
+                value: settings[name] ?? capability.min
+            };
+        };
+
+        return {
+            torch: !!capabilities.torch,
+            torchOn: !!settings.torch,
+            zoom: range('zoom'),
+            focusModes: capabilities.focusMode || [],
+            focusMode: settings.focusMode || null,
+            focusDistance: range('focusDistance')
+        };
+    }
+
+    async _applyCameraConstraints(constraints, context) {
+        const track = this._videoTrack();
+        if (!track) {
+            this.onError('Camera is not running', context);
+            return false;
+        }
+        try {
+            await track.applyConstraints({ advanced: [constraints] });
+            return true;
+        } catch (error) {
+            console.warn(`Camera rejected ${context} setting:`, error);
+            this.onError(`This camera doesn't support ${context} control`, context);
+            return false;
+        }
+    }
+
+    /**
+     * Turn the flashlight on or off
+     * @param {boolean} on
+     * @returns {Promise<boolean>} Whether the camera accepted it
+     */
+    setTorch(on) {
+        return this._applyCameraConstraints({ torch: !!on }, 'torch');
+    }
+
+    /**
+     * Set the zoom level within getCameraCapabilities().zoom
+     * @param {number} level
+     * @returns {Promise<boolean>} Whether the camera accepted it
+     */
+    setZoom(level) {
+        return this._applyCameraConstraints({ zoom: Number(level) }, 'zoom');
+    }
+
+    /**
+     * Set the focus mode ('continuous', 'single-shot', 'manual'); manual mode takes a
+     * distance within getCameraCapabilities().focusDistance
+     * @param {string} mode
+     * @param {number|null} distance
+     * @returns {Promise<boolean>} Whether the camera accepted it
+     */
+    setFocus(mode, distance = null) {
+        const constraints = { focusMode: mode };
+        if (mode === 'manual' && distance !== null) {
+            constraints.focusDistance = Number(distance);
+        }
+        return this._applyCameraConstraints(constraints, 'focus');
+    }
+
     /**
      * Pause/unpause scanning (for continuous mode)
      */
@@ -141,61 +498,72 @@ class ScannerManager {
     }
 
     /**
-     * Handle barcode scan results from ZXing
+     * Handle a barcode read by the decoder backend
      */
-    handleScanResult(result, error) {
+    handleScanResult(text, format = null) {
         if (!this.isScanning || this.isPaused) {
             return;
         }
         
-        if (result) {
-            const barcode = result.text;
-            const now = Date.now();
-            
-            if (now - this.lastScanTime < this.minScanInterval) {
-                console.log(`Rate limiting: ${now - this.lastScanTime}ms since last scan`);
-                return;
-            }
-            this.lastScanTime = now;
+        // Misreads fail the check digit; the next frame usually reads the code cleanly
+        const barcode = LibraryUtils.barcodes.canonicalize(text, format);
+        if (!barcode) {
+            console.log(`Ignoring unreadable barcode ${text}`);
+            return;
+        }
 
-            if (this.processingBarcodes.has(barcode)) {
-                const processingTime = now - this.processingBarcodes.get(barcode);
-                console.log(`Barcode ${barcode} already processing for ${processingTime}ms`);
-                this.updateStatus(`Processing ${barcode}...`, 'processing');
-                return;
-            }
-            
-            if (!this.allowDuplicates && this.scannedBarcodes.has(barcode)) {
-                this.updateStatus(`Already processed: ${barcode}`, 'warning');
-                return;
-            }
+        const now = Date.now();
+        // A disc held in front of the camera is read on every frame; it counts once per presentation
+        if (barcode === this.lastAccepted.barcode && now - this.lastAccepted.seenAt < ScannerManager.REPRESENT_GAP_MS) {
+            this.lastAccepted.seenAt = now;
+            return;
+        }
 
-            this.processingBarcodes.set(barcode, now);            
-            this.updateStatus(`Processing: ${barcode}`, 'processing');
-            
-            if (this.enableHapticFeedback && navigator.vibrate) {
-                navigator.vibrate(100);
-            }
-            
-            this.processBarcode(barcode);
-        } else if (error && !(error instanceof ZXing.NotFoundException)) {
-            console.warn('Scanner error:', error);
+        if (now - this.lastScanTime < this.minScanInterval) {
+            console.log(`Rate limiting: ${now - this.lastScanTime}ms since last scan`);
+            return;
+        }
+        this.lastScanTime = now;
+
+        if (this.processingBarcodes.has(barcode)) {
+            const processingTime = now - this.processingBarcodes.get(barcode);
+            console.log(`Barcode ${barcode} already processing for ${processingTime}ms`);
+            this.updateStatus(`Processing ${barcode}...`, 'processing');
+            return;
         }
+        
+        this.processingBarcodes.set(barcode, now);
+        this.lastAccepted = { barcode, seenAt: now };
+        this.updateStatus(`Processing: ${barcode}`, 'processing');
+        
+        this.processBarcode(barcode);
     }
 
     /**
      * Enhanced barcode processing
      */
-    async processBarcode(barcode) {
+    async processBarcode(barcode, source = null) {
         try {
-            if (!/^\d{8,18}$/.test(barcode)) {
-                throw new Error('Invalid barcode format (must be 8-18 digits)');
+            if (LibraryUtils.barcodes.canonicalize(barcode) !== barcode) {
+                throw new Error(`Invalid barcode ${barcode} (not a canonical UPC/EAN)`);
             }
             
-            await this.onBarcodeScanned(barcode);
+            const scan = await this.admitScan(barcode, source);
+            if (!scan) {
+                // Ignored or declined repeat - the camera keeps running for the next disc
+                this.processingBarcodes.delete(barcode);
+                return;
+            }
+
+            // Camera reads buzz once admitted, so ignored repeats stay silent
+            if (!source && this.enableHapticFeedback && navigator.vibrate) {
+                navigator.vibrate(100);
+            }
+
+            await this.onBarcodeScanned(barcode, source, scan);
             
             // NEW: Mark as completed and remove from processing
-            this.scannedBarcodes.add(barcode);
+            this.scanCounts.set(barcode, scan.count);
             this.processingBarcodes.delete(barcode);
             
             if (this.continuous) {
@@ -227,34 +595,194 @@ class ScannerManager {
     }
 
     /**
-     * Manually add a barcode (for manual entry)
+     * Applies duplicatePolicy to a barcode about to go to onBarcodeScanned. The count is
+     * only recorded once onBarcodeScanned succeeds, so a failed scan can be retried.
+     * @param {string} barcode - Canonical barcode
+     * @param {object|null} source - Photo the barcode was read from, if any
+     * @returns {Promise<{count: number, repeat: boolean}|null>} null when the scan is dropped
      */
-    async addManualBarcode(barcode) {
-        const cleanBarcode = barcode.trim();
-
-            if (this.processingBarcodes.has(cleanBarcode)) {
-                this.onError('Barcode is currently being processed', 'processing');
-                return false;
+    async admitScan(barcode, source = null) {
+        const previous = this.scanCounts.get(barcode) || 0;
+        if (previous > 0 && this.duplicatePolicy === 'ignore') {
+            this.updateStatus(`Already scanned: ${barcode}`, 'warning');
+            return null;
+        }
+        if (previous > 0 && this.duplicatePolicy === 'prompt') {
+            // Hold the camera while the user decides, or the same disc would queue more prompts
+            const wasPaused = this.isPaused;
+            this.isPaused = true;
+            let accepted = false;
+            try {
+                accepted = await this.onDuplicate(barcode, previous, source);
+            } finally {
+                this.isPaused = wasPaused;
             }
-            if (!barcode || !/^\d{8,18}$/.test(barcode.trim())) {
-                this.onError('Please enter a valid barcode (8-18 digits)', 'manual_entry');
-                return false;
+            if (!accepted) {
+                this.updateStatus(`Skipped repeat of ${barcode}`, 'info');
+                return null;
             }
-            
-            if (!this.allowDuplicates && this.scannedBarcodes.has(cleanBarcode)) {
-                this.onError('Barcode already processed', 'duplicate');
-                return false;
+        }
+        return { count: previous + 1, repeat: previous > 0 };
+    }
+
+    /**
+     * Changes what scanning a barcode again does for the rest of the session
+     * @param {string} policy - One of DUPLICATE_POLICIES
+     * @returns {boolean} False if the policy is unknown
+     */
+    setDuplicatePolicy(policy) {
+        if (!ScannerManager.DUPLICATE_POLICIES.includes(policy)) {
+            console.warn(`Unknown duplicate policy "${policy}", keeping "${this.duplicatePolicy}"`);
+            return false;
+        }
+        this.duplicatePolicy = policy;
+        return true;
+    }
+
+    /**
+     * Sets how many times a barcode counts as scanned, e.g. for scans restored from a saved
+     * session or removed from it, so the duplicate policy matches what the page shows
+     * @param {string} barcode - Canonical barcode
+     * @param {number} count - Scans to record; 0 forgets the barcode
+     */
+    setScanCount(barcode, count) {
+        if (count > 0) {
+            this.scanCounts.set(barcode, count);
+        } else {
+            this.scanCounts.delete(barcode);
+        }
+    }
+
+    /**
+     * Finds every barcode in one or more photos and feeds each one through processBarcode.
+     * onBarcodeScanned receives the photo it came from as its second argument:
+     * { type: 'photo', name, thumbnail } with thumbnail a small JPEG data URL.
+     * Works without a camera, so it can be used even when initialize() found none.
+     * @param {FileList|File[]} files - Image files
+     * @returns {Promise<{name: string, barcodes: string[]}[]>} Barcodes found per photo
+     */
+    async scanImages(files) {
+        if (!this.backend) {
+            try {
+                this.backend = await this.createBackend();
+            } catch (error) {
+                this.onError(error.message, 'image_scan');
+                return [];
+            }
+        }
+
+        const summary = [];
+        for (const file of Array.from(files)) {
+            if (!file.type.startsWith('image/')) {
+                this.onError(`${file.name} is not an image`, 'image_scan');
+                continue;
             }
 
+            this.updateStatus(`Reading ${file.name}...`, 'processing');
+            let barcodes = [];
+            let source = null;
             try {
-                this.scannedBarcodes.add(cleanBarcode);
-                await this.onBarcodeScanned(cleanBarcode);
-                return true;
+                const canvas = await ScannerManager.imageToCanvas(file, ScannerManager.MAX_IMAGE_SIZE);
+                const codes = await this.backend.decodeImage(canvas);
+                barcodes = [...new Set(codes
+                    .map(({ text, format }) => LibraryUtils.barcodes.canonicalize(text, format))
+                    .filter(Boolean))];
+                source = { type: 'photo', name: file.name, thumbnail: ScannerManager.thumbnail(canvas) };
             } catch (error) {
-                console.error('Error processing manual barcode:', error);
-                this.onError(error.message, 'manual_processing');
-                return false;
+                console.error(`Failed to read ${file.name}:`, error);
+                this.onError(`Couldn't read ${file.name}: ${error.message}`, 'image_scan');
+            }
+            summary.push({ name: file.name, barcodes });
+
+            for (const barcode of barcodes) {
+                if (this.processingBarcodes.has(barcode)) {
+                    continue;
+                }
+                this.processingBarcodes.set(barcode, Date.now());
+                await this.processBarcode(barcode, source);
+            }
+        }
+
+        const total = summary.reduce((count, photo) => count + photo.barcodes.length, 0);
+        this.updateStatus(`Found ${total} barcode(s) in ${summary.length} photo(s)`, total > 0 ? 'success' : 'warning');
+        return summary;
+    }
+
+    /**
+     * Draws an image file onto a canvas, scaled down so its longest side is at most maxSize
+     * @param {File|Blob} file
+     * @param {number} maxSize
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    static async imageToCanvas(file, maxSize) {
+        let image;
+        if (typeof createImageBitmap === 'function') {
+            // Applies the photo's EXIF orientation, so sideways phone shots decode upright
+            image = await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } else {
+            const url = URL.createObjectURL(file);
+            try {
+                image = await new Promise((resolve, reject) => {
+                    const img = new Image();
+                    img.onload = () => resolve(img);
+                    img.onerror = () => reject(new Error('Unsupported image'));
+                    img.src = url;
+                });
+            } finally {
+                URL.revokeObjectURL(url);
             }
+        }
+
+        const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        if (image.close) image.close();
+        return canvas;
+    }
+
+    /* Small JPEG copy of a canvas, compact enough to keep with saved scan progress */
+    static thumbnail(canvas, maxSize = ScannerManager.THUMBNAIL_SIZE) {
+        const scale = Math.min(1, maxSize / Math.max(canvas.width, canvas.height));
+        const thumb = document.createElement('canvas');
+        thumb.width = Math.round(canvas.width * scale);
+        thumb.height = Math.round(canvas.height * scale);
+        thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height);
+        return thumb.toDataURL('image/jpeg', 0.7);
+    }
+
+    /**
+     * Manually add a barcode (for manual entry)
+     */
+    async addManualBarcode(barcode) {
+        if (!barcode || !/^[\d\s-]{8,}$/.test(barcode.trim())) {
+            this.onError('Please enter a valid barcode (UPC, EAN or GTIN digits)', 'manual_entry');
+            return false;
+        }
+        const cleanBarcode = LibraryUtils.barcodes.canonicalize(barcode);
+        if (!cleanBarcode) {
+            this.onError("That barcode's check digit doesn't match - double-check the digits", 'manual_entry');
+            return false;
+        }
+
+        if (this.processingBarcodes.has(cleanBarcode)) {
+            this.onError('Barcode is currently being processed', 'processing');
+            return false;
+        }
+
+        try {
+            // admitScan reports ignored and declined repeats through the status line
+            const scan = await this.admitScan(cleanBarcode);
+            if (!scan) return false;
+            await this.onBarcodeScanned(cleanBarcode, null, scan);
+            this.scanCounts.set(cleanBarcode, scan.count);
+            return true;
+        } catch (error) {
+            console.error('Error processing manual barcode:', error);
+            this.onError(error.message, 'manual_processing');
+            return false;
+        }
     }
 
     /**
@@ -295,11 +823,14 @@ class ScannerManager {
         return {
             isScanning: this.isScanning,
             isPaused: this.isPaused,
-            scannedCount: this.scannedBarcodes.size,
+            scannedCount: this.scanCounts.size,
             processingCount: this.processingBarcodes.size,
-            scannedBarcodes: Array.from(this.scannedBarcodes),
+            scannedBarcodes: Array.from(this.scanCounts.keys()),
+            scanCounts: Object.fromEntries(this.scanCounts),
+            duplicatePolicy: this.duplicatePolicy,
             processingBarcodes: Array.from(this.processingBarcodes.keys()),
             hasCamera: this.videoInputDevices.length > 0,
+            decoder: this.backend ? this.backend.name : null,
             continuous: this.continuous
         };
     }
@@ -309,17 +840,29 @@ class ScannerManager {
      */
     reset() {
         this.stopCamera();
-        this.scannedBarcodes.clear();
+        this.scanCounts.clear();
         this.processingBarcodes.clear();
+        this.lastAccepted = { barcode: null, seenAt: 0 };
         this.lastScanTime = 0;
     }
 }
 
 /*MEDIA LOOKUP UTILITIES === Handles UPC lookups and TMDB searches */
 const MediaLookupUtils = {
+    // Title cleaning and match scoring live in media-matching.js (also used by api/ functions)
+    ...(typeof MediaMatching !== 'undefined' ? MediaMatching : require('./media-matching.js').MediaMatching),
+
     // API endpoints
     UPC_BASE_URL: '/api/upc',
     TMDB_BASE_URL: '/api/tmdb',
+    BATCH_LOOKUP_URL: '/api/lookup/batch',
+    BATCH_MAX_BARCODES: 50,
+    BARCODE_MIGRATION_KEY: 'barcodeMigration', // localStorage, per user: last migration version run
+    BARCODE_MIGRATION_VERSION: 2, // Also stored on the user document as barcodeMigrationVersion
+    CORRECTION_BOOST: 30, // Points a learned correction from a similar UPC title adds to its TMDB candidate
+    EXACT_CORRECTION_BOOST: 60, // Points a correction for this exact UPC title adds
+    CORRECTION_TRUSTED_USERS: 3, // Users behind an exact-title correction before it skips matching and review
+    REGISTRY_MIN_USERS: 2, // Users who must agree on a barcode's movie before the registry skips review
     TMDB_IMAGE_BASE: 'https://image.tmdb.org/t/p/w500',
     
     // Enhanced caching with persistence and TTL
@@ -327,10 +870,14 @@ const MediaLookupUtils = {
     
     // Request deduplication - prevent multiple simultaneous calls for same data
     pendingRequests: new Map(),
+
+    // Signed-in user's overrides of MATCH_THRESHOLDS, loaded once by getMatchThresholds
+    matchThresholds: null,
+    matchThresholdsUid: null,
     
     // Initialize persistent caching
     init() {
-        this.persistentCache = new CacheManager('media_lookup_cache_', 100, 24); // 24 hour cache
+        this.persistentCache = new CacheManager('lookup'); // 24 hour cache
     },
 
     /* Enhanced UPC lookup with better caching and deduplication */
@@ -339,7 +886,7 @@ const MediaLookupUtils = {
 
         // 1. Check the central cache first.
         // The 'upc' is the cacheType, and barcode is the unique key.
-        const cached = this.persistentCache.get('upc', barcode);
+        const cached = await this.persistentCache.get('upc', barcode);
         if (cached) {
             console.log(`💾 Using persistent cache for UPC ${barcode}`);
             return cached;
@@ -359,8 +906,8 @@ const MediaLookupUtils = {
             const result = await requestPromise;
 
             // 4. Store the result in our central cache.
-            // CacheManager handles serialization and localStorage.
-            this.persistentCache.set('upc', barcode, result);
+            // CacheManager handles serialization and IndexedDB.
+            await this.persistentCache.set('upc', barcode, result);
             console.log(`💾 Cached new UPC data via CacheManager: ${barcode}`);
             
             return result;
@@ -371,10 +918,19 @@ const MediaLookupUtils = {
     },
 
 
+    /**
+     * Barcode as stored in Firestore: the canonical UPC/EAN (LibraryUtils.barcodes), or the
+     * trimmed input for codes that aren't valid GTINs (hand-typed legacy entries)
+     */
+    storageBarcode(barcode) {
+        return LibraryUtils.barcodes.canonicalize(barcode) || String(barcode || '').trim();
+    },
+
     /**
      * Generate unique identifier for physical copies
      */
     generateUniqueIdentifier(barcode, format, edition, region) {
+        barcode = this.storageBarcode(barcode);
         const normalizedFormat = (format || 'Unknown').toLowerCase().replace(/[^a-z0-9]/g, '');
         const normalizedEdition = (edition || 'Standard').toLowerCase().replace(/[^a-z0-9]/g, '');
         const normalizedRegion = (region || 'Region1').toLowerCase().replace(/[^a-z0-9]/g, '');
@@ -383,28 +939,206 @@ const MediaLookupUtils = {
     },
 
     /**
-     * Check if physical copy already exists
+     * One-time rewrite of a user's physicalCopies to canonical barcodes, along with the
+     * uniqueIdentifier built from them, so UPC-A and EAN-13 spellings of one disc stop
+     * counting as different copies. When two copies' identifiers now collide, the user's
+     * movieInteractions are re-pointed to one of them and the other is deleted, unless another
+     * user's library uses it or that can't be checked. Barcodes that aren't valid GTINs are
+     * left as they are.
+     *
+     * Runs from the signed-in page, so each user is migrated the next time they sign in; until
+     * then their copies are still found under either spelling (uniqueIdentifierForms,
+     * LibraryUtils.barcodes.equivalentForms), and the canonical copy is preferred. The
+     * version run is kept on the user document (checked once per browser, then remembered in
+     * localStorage), and a failed run is retried on the next page load.
+     * @param {string} userId
+     * @returns {Promise<number>} Copies rewritten or merged
      */
-    async findExistingPhysicalCopy(uniqueIdentifier) {
+    async migrateBarcodes(userId) {
+        const storageKey = `${this.BARCODE_MIGRATION_KEY}_${userId}`;
+        if (typeof db === 'undefined' || localStorage.getItem(storageKey) === String(this.BARCODE_MIGRATION_VERSION)) {
+            return 0;
+        }
+
         try {
-            const copyQuery = await db.collection('physicalCopies')
-                .where('uniqueIdentifier', '==', uniqueIdentifier)
-                .limit(1)
-                .get();
-            
-            return copyQuery.empty ? null : {
-                id: copyQuery.docs[0].id,
-                data: copyQuery.docs[0].data()
-            };
+            const userRef = db.collection('users').doc(userId);
+            const userDoc = await userRef.get();
+            if (userDoc.exists && (userDoc.data().barcodeMigrationVersion || 0) >= this.BARCODE_MIGRATION_VERSION) {
+                localStorage.setItem(storageKey, String(this.BARCODE_MIGRATION_VERSION));
+                return 0;
+            }
+
+            const snapshot = await db.collection('physicalCopies').where('userId', '==', userId).get();
+            const updates = [];
+            const removals = [];
+            const duplicates = new Map(); // Duplicate copy id → id of the copy it merges into
+            const keptByIdentifier = new Map();
+
+            // Copies already stored canonically keep their documents when two spellings collide
+            const docs = [...snapshot.docs].sort((a, b) =>
+                this._needsCanonicalBarcode(a.data()) - this._needsCanonicalBarcode(b.data()));
+
+            for (const doc of docs) {
+                const copy = doc.data();
+                const barcode = LibraryUtils.barcodes.canonicalize(copy.barcode);
+                const changes = barcode && barcode !== copy.barcode ? { barcode } : null;
+                if (changes && copy.uniqueIdentifier) {
+                    // Keep the format/edition/region suffix exactly as it was generated
+                    changes.uniqueIdentifier = copy.uniqueIdentifier.startsWith(`${copy.barcode}_`)
+                        ? barcode + copy.uniqueIdentifier.slice(copy.barcode.length)
+                        : this.generateUniqueIdentifier(barcode, copy.format, copy.edition, copy.region);
+                }
+
+                const identifier = (changes && changes.uniqueIdentifier) || copy.uniqueIdentifier;
+                if (identifier && keptByIdentifier.has(identifier)) {
+                    duplicates.set(doc.id, keptByIdentifier.get(identifier));
+                    // Copies are shared by uniqueIdentifier, so a duplicate another user owns stays put
+                    if (!(await this._ownedByOthers(userId, doc.id))) {
+                        removals.push({ ref: doc.ref, remove: true });
+                        continue;
+                    }
+                } else if (identifier) {
+                    keptByIdentifier.set(identifier, doc.id);
+                }
+                if (changes) updates.push({ ref: doc.ref, changes });
+            }
+
+            // Re-point interactions before deleting, so a failed run never leaves dangling ids
+            const repointed = await this._repointCopies(userId, duplicates);
+            await this._commitInBatches([...repointed, ...removals, ...updates]);
+
+            await userRef.set({ barcodeMigrationVersion: this.BARCODE_MIGRATION_VERSION }, { merge: true });
+            localStorage.setItem(storageKey, String(this.BARCODE_MIGRATION_VERSION));
+            if (updates.length > 0 || duplicates.size > 0) {
+                console.log(`🏷️ Canonicalized ${updates.length} physical copy barcode(s), merged ${duplicates.size} duplicate(s)`);
+            }
+            return updates.length + duplicates.size;
         } catch (error) {
-            console.error('Error finding physical copy:', error);
-            return null;
+            console.warn('Barcode migration failed, retrying next visit:', error);
+            return 0;
         }
     },
 
-    async createPhysicalCopy(movieId, physicalEditionData, userId) {
+    /* Whether a copy's stored barcode differs from its canonical form (1) or not (0) */
+    _needsCanonicalBarcode(copy) {
+        const barcode = LibraryUtils.barcodes.canonicalize(copy.barcode);
+        return barcode && barcode !== copy.barcode ? 1 : 0;
+    },
+
+    /* Whether another user's movieInteractions reference a copy; a failed check counts as yes */
+    async _ownedByOthers(userId, copyId) {
         try {
-            const uniqueId = this.generateUniqueIdentifier(
+            const snapshot = await db.collectionGroup('movieInteractions')
+                .where('physicalCopies', 'array-contains', copyId)
+                .get();
+            return snapshot.docs.some(doc => doc.ref.parent.parent.id !== userId); // users/{uid}/movieInteractions/{movieId}
+        } catch (error) {
+            console.warn(`Couldn't check who else owns copy ${copyId}, keeping it:`, error);
+            return true;
+        }
+    },
+
+    /**
+     * Interaction updates that swap merged copy ids for the copy they merged into. Both
+     * spellings in one array were the same disc scanned twice, so the kept id appears as
+     * many times as the more repeated spelling did.
+     * @param {string} userId
+     * @param {Map<string, string>} duplicates - Duplicate copy id → kept copy id
+     * @returns {Promise<object[]>} { ref, changes } writes for _commitInBatches
+     */
+    async _repointCopies(userId, duplicates) {
+        const ids = [...duplicates.keys()];
+        const interactions = new Map();
+        // array-contains-any takes at most 10 values
+        for (let i = 0; i < ids.length; i += 10) {
+            const snapshot = await db.collection('users').doc(userId).collection('movieInteractions')
+                .where('physicalCopies', 'array-contains-any', ids.slice(i, i + 10))
+                .get();
+            snapshot.docs.forEach(doc => interactions.set(doc.id, doc));
+        }
+
+        return [...interactions.values()].map(doc => {
+            const copyIds = doc.data().physicalCopies || [];
+            const spellings = new Map(); // Kept id → { original id → occurrences }
+            copyIds.forEach(id => {
+                const kept = duplicates.get(id) || id;
+                const counts = spellings.get(kept) || new Map();
+                counts.set(id, (counts.get(id) || 0) + 1);
+                spellings.set(kept, counts);
+            });
+
+            const written = new Map();
+            const physicalCopies = [];
+            copyIds.forEach(id => {
+                const kept = duplicates.get(id) || id;
+                const wanted = Math.max(...spellings.get(kept).values());
+                if ((written.get(kept) || 0) < wanted) {
+                    physicalCopies.push(kept);
+                    written.set(kept, (written.get(kept) || 0) + 1);
+                }
+            });
+            return { ref: doc.ref, changes: { physicalCopies } };
+        });
+    },
+
+    /* Commits { ref, changes } updates and { ref, remove } deletes in order */
+    async _commitInBatches(writes) {
+        // Firestore batches hold at most 500 writes
+        for (let i = 0; i < writes.length; i += 450) {
+            const batch = db.batch();
+            writes.slice(i, i + 450).forEach(write => {
+                if (write.remove) batch.delete(write.ref);
+                else batch.update(write.ref, write.changes);
+            });
+            await batch.commit();
+        }
+    },
+
+    /**
+     * An identifier as generated now plus the zero-padded spellings that copies of users who
+     * haven't been through migrateBarcodes yet may still carry
+     * @param {string} uniqueIdentifier - From generateUniqueIdentifier
+     * @returns {string[]} Canonical form first
+     */
+    uniqueIdentifierForms(uniqueIdentifier) {
+        const separator = uniqueIdentifier.indexOf('_');
+        if (separator < 0) return [uniqueIdentifier];
+        const suffix = uniqueIdentifier.slice(separator);
+        const forms = LibraryUtils.barcodes.equivalentForms(uniqueIdentifier.slice(0, separator));
+        return forms.length ? forms.map(form => form + suffix) : [uniqueIdentifier];
+    },
+
+    /**
+     * Check if physical copy already exists
+     */
+    async findExistingPhysicalCopy(uniqueIdentifier) {
+        try {
+            const copyQuery = await db.collection('physicalCopies')
+                .where('uniqueIdentifier', 'in', this.uniqueIdentifierForms(uniqueIdentifier))
+                .limit(10)
+                .get();
+
+            // Prefer the canonical copy when an older spelling of it is still around
+            const doc = copyQuery.docs.find(copy => copy.data().uniqueIdentifier === uniqueIdentifier) || copyQuery.docs[0];
+            return doc ? { id: doc.id, data: doc.data() } : null;
+        } catch (error) {
+            console.error('Error finding physical copy:', error);
+            return null;
+        }
+    },
+
+    /* Season number and box-set links are only stored on copies that have them */
+    releaseFields(physicalEditionData) {
+        const fields = {};
+        if (physicalEditionData.seasonNumber != null) fields.seasonNumber = physicalEditionData.seasonNumber;
+        if (physicalEditionData.movieIds && physicalEditionData.movieIds.length) fields.movieIds = physicalEditionData.movieIds;
+        if (physicalEditionData.tmdbCollectionId) fields.tmdbCollectionId = physicalEditionData.tmdbCollectionId;
+        return fields;
+    },
+
+    async createPhysicalCopy(movieId, physicalEditionData, userId) {
+        try {
+            const uniqueId = this.generateUniqueIdentifier(
                 physicalEditionData.barcode,
                 physicalEditionData.format,
                 physicalEditionData.edition,
@@ -415,7 +1149,7 @@ const MediaLookupUtils = {
                 movieId: movieId,
                 userId: userId,
                 title: physicalEditionData.title || 'Unknown Title',
-                barcode: physicalEditionData.barcode || '',
+                barcode: MediaLookupUtils.storageBarcode(physicalEditionData.barcode),
                 format: physicalEditionData.format || 'Unknown',
                 edition: physicalEditionData.edition || 'Standard',
                 region: physicalEditionData.region || 'Region 1',
@@ -426,6 +1160,7 @@ const MediaLookupUtils = {
                 scannedBy: userId,
                 scanCount: 1
             };
+            Object.assign(copyData, this.releaseFields(physicalEditionData));
     
             console.log('📦 Creating physical copy with data:', copyData);
             
@@ -456,11 +1191,12 @@ const MediaLookupUtils = {
     
             // Check if copy already exists
             const existingCopyQuery = await transaction.get(
-                db.collection('physicalCopies').where('uniqueIdentifier', '==', uniqueId).limit(1)
+                db.collection('physicalCopies').where('uniqueIdentifier', 'in', MediaLookupUtils.uniqueIdentifierForms(uniqueId)).limit(10)
             );
             
             if (!existingCopyQuery.empty) {
-                return existingCopyQuery.docs[0].id;
+                const existing = existingCopyQuery.docs.find(copy => copy.data().uniqueIdentifier === uniqueId) || existingCopyQuery.docs[0];
+                return existing.id;
             }
     
             // Create new copy
@@ -469,7 +1205,7 @@ const MediaLookupUtils = {
                 movieId: movieId,
                 userId: userId,
                 title: physicalEditionData.title || 'Unknown Title',
-                barcode: physicalEditionData.barcode || '',
+                barcode: MediaLookupUtils.storageBarcode(physicalEditionData.barcode),
                 format: physicalEditionData.format || 'Unknown',
                 edition: physicalEditionData.edition || 'Standard',
                 region: physicalEditionData.region || 'Region 1',
@@ -480,21 +1216,43 @@ const MediaLookupUtils = {
                 scannedBy: userId,
                 scanCount: 1
             };
+            Object.assign(copyData, MediaLookupUtils.releaseFields(physicalEditionData));
     
             transaction.set(copyRef, copyData);
             return copyRef.id;
         });
     },
     
+    /* Remaining UPC lookups reported by /api/upc (null until the first response) */
+    upcQuota: null,
+
+    /* Record the quota headers from a /api/upc response */
+    _updateUPCQuota(response) {
+        const remaining = response.headers.get('X-RateLimit-Remaining');
+        const limit = response.headers.get('X-RateLimit-Limit');
+        if (remaining !== null) {
+            this.upcQuota = {
+                remaining: parseInt(remaining, 10),
+                limit: limit !== null ? parseInt(limit, 10) : null,
+                updatedAt: Date.now()
+            };
+        }
+    },
+
     /* Internal UPC fetch method */
     async _fetchUPCData(barcode) {
         try {
             const response = await fetch(`${this.UPC_BASE_URL}?upc=${encodeURIComponent(barcode)}`);
+            this._updateUPCQuota(response);
 
             //Add this check for rate limiting
             if (response.status === 429) {
-            console.warn('API Rate Limit Hit! Pausing queue...');
-            throw new Error('RATE_LIMIT'); 
+                console.warn('API Rate Limit Hit! Pausing queue...');
+                const rateLimitError = new Error('RATE_LIMIT');
+                // The server tells us how long to back off, so the queue can wait exactly that long
+                const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+                rateLimitError.retryAfterMs = retryAfter > 0 ? retryAfter * 1000 : null;
+                throw rateLimitError;
             }
             
             if (!response.ok) {
@@ -504,34 +1262,39 @@ const MediaLookupUtils = {
             
             const data = await response.json();
             
-            if (!data || data.code !== 'OK' || !data.items || data.items.length === 0) {
+            // /api/upc returns one normalized product, whichever provider answered
+            if (!data || data.code !== 'OK' || !data.product) {
                 throw new Error('No product found for this barcode');
             }
             
             return {
                 barcode: barcode,
-                originalTitle: data.items[0].title || '',
-                brand: data.items[0].brand || '',
-                category: data.items[0].category || '',
-                description: data.items[0].description || '',
-                images: data.items[0].images || []
+                originalTitle: data.product.title || '',
+                brand: data.product.brand || '',
+                category: data.product.category || '',
+                description: data.product.description || '',
+                images: data.product.images || [],
+                source: data.product.source || 'unknown'
             };
 
         } catch (error) {
             if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                throw new Error('Network error - check your internet connection');
+                const networkError = new Error('Network error - check your internet connection');
+                networkError.offline = true; // LibraryUtils.offline.isNetworkError still recognizes it
+                throw networkError;
             }
             throw error;
         }
         
     },
 
-    async searchTMDBForTitle(title, year = null, exactMatch = false) {
-        // Use the same robust key generation.
-        const cacheKey = `tmdb_search_${title.toLowerCase().replace(/[^a-z0-9]/g, '_')}_${year || 'noyear'}_${exactMatch}`;
+    async searchTMDBForTitle(title, year = null, exactMatch = false, credits = null) {
+        // Use the same robust key generation; names from the package change the pick, so they're part of it
+        const names = credits ? [...credits.actors, ...credits.directors].join('_') : '';
+        const cacheKey = `tmdb_search_${title.toLowerCase().replace(/[^a-z0-9]/g, '_')}_${year || 'noyear'}_${exactMatch}${names ? `_${names.toLowerCase().replace(/[^a-z0-9]/g, '_')}` : ''}`;
         
         // 1. Check the central cache using 'tmdb' as the cacheType.
-        const cached = this.persistentCache.get('tmdb', cacheKey);
+        const cached = await this.persistentCache.get('tmdb', cacheKey);
         if (cached) {
             console.log(`🎬 Using persistent cache for TMDB search: ${title}`);
             return cached;
@@ -541,10 +1304,10 @@ const MediaLookupUtils = {
         
         try {
             // 2. Perform the search if not found in cache.
-            const result = await this._searchTMDB(title, year, exactMatch);
+            const result = await this._searchTMDB(title, year, exactMatch, null, credits);
             
             // 3. Store the new result in our central cache.
-            this.persistentCache.set('tmdb', cacheKey, result);
+            await this.persistentCache.set('tmdb', cacheKey, result);
             console.log(`💾 Cached new TMDB result via CacheManager: ${title}`);
             
             return result;
@@ -555,423 +1318,399 @@ const MediaLookupUtils = {
         }
     },
 
-    /* Internal TMDB search with optimized queries */
-    async _searchTMDB(title, year = null, exactMatch = false) {
+    /* Internal TMDB search: shared strategies from MediaMatching over the /api/tmdb proxy */
+    async _searchTMDB(title, year = null, exactMatch = false, boosts = null, credits = null) {
         try {
-            if (!title || title.trim() === '') {
-                throw new Error('No title to search');
+            return await this.searchTMDB(this.tmdbClient(), title, year, exactMatch, null, boosts, credits);
+        } catch (error) {
+            if (error.name === 'TypeError' && error.message.includes('fetch')) {
+                throw new Error('Network error - check your internet connection');
             }
-            
-            // Try different search strategies in order of preference
-            const searchStrategies = [
-                // Strategy 1: Exact title + year (if provided)
-                ...(year ? [{ query: `"${title}" ${year}`, priority: 'high' }] : []),
-                
-                // Strategy 2: Title + year without quotes
-                ...(year ? [{ query: `${title} ${year}`, priority: 'medium' }] : []),
-                
-                // Strategy 3: Exact title only
-                { query: `"${title}"`, priority: 'medium' },
-                
-                // Strategy 4: Title without quotes (fallback)
-                ...(exactMatch ? [] : [{ query: title, priority: 'low' }]),
-
-                // Strategy 5: Search by cast member names (extract from title if possible)
-                ...(this.extractActorNames(title).length > 0 ? 
-                    this.extractActorNames(title).map(actor => ({ 
-                        query: `${actor} ${title.replace(actor, '').trim()}`, 
-                        priority: 'medium' 
-                    })) : []
-                ),
-
-                // Strategy 6: Search by director (if extractable)
-                ...(this.extractDirectorHints(title).length > 0 ? 
-                    this.extractDirectorHints(title).map(director => ({ 
-                        query: `${title} ${director}`, 
-                        priority: 'medium' 
-                    })) : []
-                )
-            ]
-            let bestResult = null;
-            let bestScore = 0;
-            
-            for (const strategy of searchStrategies) {
-                console.log(`🔍 TMDB Search Strategy: ${strategy.query} (${strategy.priority} priority)`);
-                
-                try {
-                    const searchUrl = `${this.TMDB_BASE_URL}/search/multi?query=${encodeURIComponent(strategy.query)}`;
-                    const response = await fetch(searchUrl);
+            throw error;
+        }
+    },
 
-                    if (response.status === 429) {
-                        console.warn('API Rate Limit Hit during TMDB search! Pausing queue...');
-                        throw new Error('RATE_LIMIT'); 
-                    }
-                    
-                    if (!response.ok) continue;
-                    
-                    const searchData = await response.json();
-                    
-                    if (!searchData.results || searchData.results.length === 0) continue;
-                    
-                    // Filter to movies and TV shows only
-                    const mediaResults = searchData.results.filter(item => 
-                        item.media_type === 'movie' || item.media_type === 'tv'
-                    );
-                    
-                    if (mediaResults.length === 0) continue;
-                    
-                    // Score this result set
-                    const candidateResult = this.findBestTMDBMatch(mediaResults, title, year);
-                    const score = this.scoreSearchResult(candidateResult, title, year, strategy.priority);
-                    
-                    console.log(`📊 Strategy "${strategy.query}" score: ${score}`);
-                    
-                    if (score > bestScore) {
-                        bestScore = score;
-                        bestResult = candidateResult;
-                        
-                        // If we got a very high score, don't bother with other strategies
-                        if (score > 90 && strategy.priority === 'high') {
-                            break;
-                        }
-                    }
-                    
-                } catch (strategyError) {
-                    // Re-throw the rate limit error so the queue can catch it
-                    if (strategyError.message === 'RATE_LIMIT') {
-                        throw strategyError;
-                    }
-                    console.warn(`Strategy "${strategy.query}" failed:`, strategyError);
-                    continue;
-                }
+    /* TMDB client for MediaMatching.searchTMDB backed by the /api/tmdb proxy */
+    tmdbClient() {
+        const fetchJson = async (url, failureMessage) => {
+            const response = await fetch(url);
+
+            if (response.status === 429) {
+                console.warn('API Rate Limit Hit during TMDB search! Pausing queue...');
+                throw new Error('RATE_LIMIT');
             }
-            
-            if (!bestResult) {
-                console.warn(`No TMDB results found for "${title}" - will need manual review`);
-                
-                return {
-                    id: `upc_${Date.now()}`, // Temporary ID
-                    title: title,
-                    name: title,
-                    overview: 'No results found - needs manual review',
-                    poster_path: null,
-                    release_date: null,
-                    first_air_date: null,
-                    media_type: 'movie',
-                    matchScore: 0,  // This will trigger needs_review
-                    popularity: 0,
-                    vote_average: 0,
-                    vote_count: 0,
-                    needsManualReview: true  // Explicit flag
-                };
+            if (!response.ok) {
+                throw new Error(failureMessage);
             }
-            
-            // Get full details for the best match
-            console.log(`🏆 Best match selected: "${bestResult.title || bestResult.name}" (score: ${bestScore})`);
+            return response.json();
+        };
 
-            const detailsUrl = `${this.TMDB_BASE_URL}/${bestResult.media_type}/${bestResult.id}?append_to_response=credits`;
-            const detailsResponse = await fetch(detailsUrl);
+        return {
+            searchMulti: (query) => fetchJson(
+                `${this.TMDB_BASE_URL}/search/multi?query=${encodeURIComponent(query)}`,
+                `TMDB search failed for "${query}"`
+            ),
+            // Cached, since credit checks fetch details for several candidates
+            getDetails: (mediaType, id) => this.getTMDBDetails(mediaType, id),
+            getSeason: (tvId, seasonNumber) => fetchJson(
+                `${this.TMDB_BASE_URL}/tv/${tvId}/season/${seasonNumber}`,
+                `Failed to load season ${seasonNumber} from TMDB`
+            ),
+            searchCollection: (query) => fetchJson(
+                `${this.TMDB_BASE_URL}/search/collection?query=${encodeURIComponent(query)}`,
+                `TMDB collection search failed for "${query}"`
+            ),
+            getCollection: (id) => fetchJson(
+                `${this.TMDB_BASE_URL}/collection/${id}`,
+                'Failed to load collection from TMDB'
+            )
+        };
+    },
+
+    /**
+     * Community barcode registry: resolve a barcode from physicalCopies that other
+     * users have already linked to a movie, before calling any UPC provider.
+     * @param {string} barcode - The scanned barcode
+     * @returns {Promise<object|null>} A completeMovieLookup-shaped result, or null if unknown
+     */
+    async resolveFromRegistry(barcode) {
+        if (typeof db === 'undefined' || !barcode) return null;
 
-            if (!detailsResponse.ok) {
-                throw new Error('Failed to load full movie details from TMDB');
+        try {
+            // Copies saved before barcodes were canonicalized may still hold a padded form
+            const forms = LibraryUtils.barcodes.equivalentForms(barcode);
+            const copiesQuery = await db.collection('physicalCopies')
+                .where('barcode', 'in', forms.length ? forms : [barcode])
+                .limit(10)
+                .get();
+
+            if (copiesQuery.empty) return null;
+
+            // Several users may have linked the same barcode; trust the movie most of them chose
+            const votes = new Map();
+            copiesQuery.docs.forEach(doc => {
+                const copy = doc.data();
+                if (!copy.movieId) return;
+                const entry = votes.get(copy.movieId) || { count: 0, copy, users: new Set() };
+                entry.count++;
+                if (copy.userId) entry.users.add(copy.userId);
+                votes.set(copy.movieId, entry);
+            });
+            if (votes.size === 0) return null;
+
+            const [movieId, { count, copy, users }] = [...votes.entries()].sort((a, b) => b[1].count - a[1].count)[0];
+
+            // Box sets go through the full lookup so every film in the set gets linked
+            if (copy.movieIds && copy.movieIds.length > 1) return null;
+
+            const movieDoc = await CachedFirestore.getMovieByDocId(movieId);
+            const movie = movieDoc && movieDoc.exists ? movieDoc.data() : null;
+            if (!movie || !movie.tmdbId) {
+                // Manual entries have no TMDB record to resolve against
+                return null;
             }
 
-            const fullDetails = await detailsResponse.json();
+            const mediaType = movie.contentType === 'tv' ? 'tv' : 'movie';
+            const tmdbData = await this.getTMDBDetails(mediaType, movie.tmdbId);
+
+            // One user's link could be a mistake; it gets the same review check as a fresh match.
+            // Supporters are the users who saved these copies, read from the copies themselves
+            const supporters = users.size;
+            const cleanTitle = copy.title ? this.cleanMovieTitle(copy.title) : (movie.title || '');
+            const extractedYear = copy.title ? this.extractYearFromTitle(copy.title) : (movie.year || null);
+            const assessment = supporters >= this.REGISTRY_MIN_USERS
+                ? { confidence: 1, reasons: [], needsReview: false }
+                : this.assessMatch(tmdbData, cleanTitle, extractedYear, await this.getMatchThresholds());
+            if (assessment.needsReview) {
+                assessment.reasons.push(`only ${supporters} user${supporters === 1 ? ' has' : 's have'} linked this barcode`);
+            } else {
+                tmdbData.matchScore = 100;
+            }
 
-            // IMPORTANT: Preserve the match score from our analysis
-            fullDetails.matchScore = bestResult.matchScore;
-            fullDetails.media_type = bestResult.media_type; // Also preserve media type
+            console.log(`📚 Registry hit for ${barcode}: "${movie.title}" (${count} linked cop${count === 1 ? 'y' : 'ies'}, ${supporters} user(s))`);
+
+            const registryResult = {
+                upcData: {
+                    barcode: barcode,
+                    originalTitle: copy.title || movie.title || '',
+                    brand: copy.distributor || '',
+                    category: '',
+                    description: '',
+                    images: [],
+                    source: 'registry'
+                },
+                tmdbData,
+                physicalEdition: {
+                    format: copy.format || 'Unknown',
+                    edition: copy.edition || 'Standard',
+                    region: copy.region || 'Region 1',
+                    distributor: copy.distributor || '',
+                    features: copy.features || [],
+                    barcode: barcode
+                },
+                cleanTitle,
+                extractedYear,
+                confidence: assessment.confidence,
+                reasons: assessment.reasons,
+                needsReview: assessment.needsReview,
+                source: 'registry',
+                registryMovieId: movieId
+            };
 
-            console.log(`🔍 Preserved matchScore: ${fullDetails.matchScore} for "${fullDetails.title || fullDetails.name}"`);
+            if (copy.seasonNumber != null) {
+                registryResult.releaseKind = 'tv_season';
+                registryResult.physicalEdition.seasonNumber = copy.seasonNumber;
+                registryResult.season = { seasonNumber: copy.seasonNumber, name: `Season ${copy.seasonNumber}`, episodeCount: null, airDate: null, posterPath: null };
+            }
+
+            return registryResult;
 
-            return fullDetails;
-            
         } catch (error) {
-            if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                throw new Error('Network error - check your internet connection');
-            }
-            throw error;
+            // The registry is only a shortcut - fall back to the normal lookup
+            console.warn(`Registry lookup failed for ${barcode}:`, error);
+            return null;
         }
     },
 
-    /*Score a search result based on strategy and match quality*/
-    scoreSearchResult(result, originalTitle, targetYear, strategyPriority) {
-        let score = result.matchScore || 0;
-        
-        // Bonus for high-priority search strategies
-        if (strategyPriority === 'high') score += 20;
-        else if (strategyPriority === 'medium') score += 10;
-        
-        // Additional scoring for exact matches
-        const resultTitle = (result.title || result.name || '').toLowerCase();
-        const cleanOriginal = originalTitle.toLowerCase().trim();
-        
-        if (resultTitle === cleanOriginal) score += 25;
-        
-        // Year match bonus
-        if (targetYear) {
-            const resultYear = this.extractYearFromDate(result.release_date || result.first_air_date);
-            if (resultYear === parseInt(targetYear)) score += 20;
+    /* Fetch full TMDB details (with credits) for a known id, cached like search results */
+    async getTMDBDetails(mediaType, tmdbId) {
+        const cacheKey = `details_${mediaType}_${tmdbId}`;
+        const cached = await this.persistentCache.get('tmdb', cacheKey);
+        if (cached) {
+            return { ...cached };
         }
-        
-        // NEW: Penalize if popularity is very low (likely wrong match)
-        if (result.popularity && result.popularity < 1) score -= 10;
-        
-        // NEW: Bonus for higher vote counts (more established movies)
-        if (result.vote_count && result.vote_count > 100) score += 5;
 
-        return Math.max(0, score);
-    },
-    
-    /* Find the best TMDB match using multiple criteria */
-    findBestTMDBMatch(results, originalTitle, targetYear = null) {
-        if (results.length === 1) {
-            return results[0];
+        const response = await fetch(`${this.TMDB_BASE_URL}/${mediaType}/${tmdbId}?append_to_response=credits`);
+        if (response.status === 429) {
+            throw new Error('RATE_LIMIT');
+        }
+        if (!response.ok) {
+            throw new Error('Failed to load full movie details from TMDB');
         }
 
-        console.log(`\n=== TMDB MATCHING DEBUG ===`);
-        console.log(`Original title: "${originalTitle}"`);
-        console.log(`Target year: ${targetYear}`);
-        console.log(`Candidates (${results.length}):`);
-        
-        // Score each result
-        const scoredResults = results.map(item => {
-            const itemTitle = item.title || item.name;
-            const itemYear = this.extractYearFromDate(item.release_date || item.first_air_date);
-            
-            let score = 0;
-            let debugInfo = [];
-
-            // 1. Title similarity (most important - 40 points max)
-            const titleScore = this.calculateTitleSimilarity(originalTitle, itemTitle);
-            score += titleScore;
-            debugInfo.push(`Title: ${titleScore.toFixed(1)}`);
-
-            // 2. Year matching (30 points max)
-            if (targetYear && itemYear) {
-                const yearDiff = Math.abs(targetYear - itemYear);
-                if (yearDiff === 0) {
-                    score += 30;
-                    debugInfo.push(`Year: +30 (exact)`);
-                } else if (yearDiff === 1) {
-                    score += 20;
-                    debugInfo.push(`Year: +20 (±1)`);
-                } else if (yearDiff <= 3) {
-                    score += 10;
-                    debugInfo.push(`Year: +10 (±${yearDiff})`);
-                } else {
-                    debugInfo.push(`Year: +0 (±${yearDiff})`);
-                }
-            } else if (!targetYear) {
-                debugInfo.push(`Year: N/A`);
-            }
+        const details = await response.json();
+        details.media_type = mediaType;
+        await this.persistentCache.set('tmdb', cacheKey, details);
+        return { ...details };
+    },
 
-            // 3. Popularity bonus (15 points max)
-            const popularityScore = Math.min(item.popularity / 10, 15);
-            score += popularityScore;
-            debugInfo.push(`Pop: ${popularityScore.toFixed(1)}`);
+    /**
+     * The signed-in user's review thresholds (users/{uid}.matchThresholds), merged over the defaults.
+     * @returns {Promise<object>} { minConfidence, maxYearDelta, minPopularity }
+     */
+    async getMatchThresholds() {
+        const user = typeof firebase !== 'undefined' ? firebase.auth().currentUser : null;
+        if (!user || typeof db === 'undefined') return { ...this.MATCH_THRESHOLDS };
 
-            // 4. Media type preference (10 points max)
-            if (item.media_type === 'movie') {
-                score += 10; // Prefer movies for physical media
-                debugInfo.push(`Type: +10 (movie)`);
-            } else {
-                debugInfo.push(`Type: +0 (tv)`);
+        if (this.matchThresholdsUid !== user.uid) {
+            try {
+                const userDoc = await db.collection('users').doc(user.uid).get();
+                this.matchThresholds = this.normalizeThresholds(userDoc.exists ? userDoc.data().matchThresholds : null);
+            } catch (error) {
+                console.warn('Failed to load match thresholds, using defaults:', error);
+                this.matchThresholds = {};
             }
+            this.matchThresholdsUid = user.uid;
+        }
+        return { ...this.MATCH_THRESHOLDS, ...this.matchThresholds };
+    },
 
-            // 5. Vote average bonus (5 points max)
-            const voteScore = Math.min(item.vote_average / 2, 5);
-            score += voteScore;
-            debugInfo.push(`Vote: ${voteScore.toFixed(1)}`);
-
-            console.log(`  "${itemTitle}" (${itemYear || 'no year'}) - Score: ${score.toFixed(1)} [${debugInfo.join(', ')}]`);
+    /**
+     * Saves the signed-in user's review thresholds; invalid values are dropped.
+     * @param {object} thresholds - { minConfidence, maxYearDelta, minPopularity }
+     */
+    async saveMatchThresholds(thresholds) {
+        const user = firebase.auth().currentUser;
+        if (!user) throw new Error('Sign in to change review settings');
+
+        const valid = this.normalizeThresholds(thresholds);
+        await db.collection('users').doc(user.uid).set({ matchThresholds: valid }, { merge: true });
+        this.matchThresholds = valid;
+        this.matchThresholdsUid = user.uid;
+        return { ...this.MATCH_THRESHOLDS, ...valid };
+    },
 
-            return {
-                ...item,
-                matchScore: score,
-                matchYear: itemYear,
-                debugInfo: debugInfo.join(', ')
-            };
-        });
+    /**
+     * Learned corrections: every manual re-match is stored as (raw UPC title → TMDB id) in
+     * matchCorrections, one doc per title/match pair with a running count.
+     * @param {string} rawTitle - The UPC product title exactly as the provider returned it
+     * @param {object} tmdbData - The TMDB record the user picked (id, media_type, title/name)
+     * @param {string} [barcode] - The scanned barcode, kept for reference
+     */
+    async recordMatchCorrection(rawTitle, tmdbData, barcode = '') {
+        if (typeof db === 'undefined' || !rawTitle || !tmdbData || !tmdbData.id || `${tmdbData.id}`.startsWith('upc_')) return;
 
-        // Sort by score (highest first)
-        scoredResults.sort((a, b) => b.matchScore - a.matchScore);
+        const rawTitleKey = this.correctionKey(rawTitle);
+        if (!rawTitleKey) return;
 
-        const winner = scoredResults[0];
-        console.log(`\nWinner: "${winner.title || winner.name}" with score ${winner.matchScore.toFixed(1)}`);
-        console.log(`========================\n`);
+        const mediaType = tmdbData.media_type || (tmdbData.first_air_date ? 'tv' : 'movie');
+        const user = firebase.auth().currentUser;
 
-        return winner;
+        try {
+            await db.collection('matchCorrections').doc(`${rawTitleKey}__${mediaType}_${tmdbData.id}`).set({
+                rawTitle,
+                rawTitleKey,
+                similarTitleKey: this.similarTitleKey(rawTitle),
+                tmdbId: parseInt(tmdbData.id),
+                mediaType,
+                title: tmdbData.title || tmdbData.name || '',
+                count: firebase.firestore.FieldValue.increment(1),
+                ...(user ? { correctedBy: firebase.firestore.FieldValue.arrayUnion(user.uid) } : {}),
+                ...(barcode ? { barcodes: firebase.firestore.FieldValue.arrayUnion(this.storageBarcode(barcode)) } : {}),
+                lastCorrectedBy: user ? user.uid : null,
+                lastCorrectedAt: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+            console.log(`🧠 Recorded correction: "${rawTitle}" → ${mediaType}/${tmdbData.id}`);
+        } catch (error) {
+            // A lost correction only costs a future review - never block the save
+            console.warn('Failed to record match correction:', error);
+        }
     },
 
-    needsManualReview(bestMatch, originalTitle, targetYear) {
-        if (!bestMatch) {
-            console.log('🔍 needsManualReview: No bestMatch');
-            return true;
-        }   
-    
-        if (bestMatch.needsManualReview) {
-            console.log('🔍 needsManualReview: Explicit flag set');
-            return true;
-        }
+    /**
+     * Corrections for a raw UPC title: exact matches on the raw title, else ones from similar titles.
+     * @param {string} rawTitle - The UPC product title
+     * @returns {Promise<{exact: object[], similar: object[]}>} Correction docs, most-confirmed first
+     */
+    async findMatchCorrections(rawTitle) {
+        const none = { exact: [], similar: [] };
+        if (typeof db === 'undefined' || !rawTitle) return none;
 
-        const score = bestMatch.matchScore || 0;
-        const CONFIDENCE_THRESHOLD = 35; // Adjust this based on testing
+        const byCount = (a, b) => (b.count || 0) - (a.count || 0);
+        try {
+            const exactQuery = await db.collection('matchCorrections')
+                .where('rawTitleKey', '==', this.correctionKey(rawTitle))
+                .limit(10)
+                .get();
+            if (!exactQuery.empty) {
+                return { exact: exactQuery.docs.map(doc => doc.data()).sort(byCount), similar: [] };
+            }
 
-        console.log(`🔍 needsManualReview: Score ${score} vs threshold ${CONFIDENCE_THRESHOLD}`);
-        
-        if (score < CONFIDENCE_THRESHOLD) {
-            console.log('🔍 needsManualReview: Below threshold');
-            return true;
-        }
-        
-        if (targetYear) {
-                const resultYear = this.extractYearFromDate(bestMatch.release_date || bestMatch.first_air_date);
-                if (!resultYear || Math.abs(resultYear - targetYear) > 2) {
-                    console.log(`🔍 needsManualReview: Year mismatch (target: ${targetYear}, result: ${resultYear})`);
-                    return true;
-                }
+            const similarKey = this.similarTitleKey(rawTitle);
+            if (!similarKey) return none;
+            const similarQuery = await db.collection('matchCorrections')
+                .where('similarTitleKey', '==', similarKey)
+                .limit(10)
+                .get();
+            return { exact: [], similar: similarQuery.docs.map(doc => doc.data()).sort(byCount) };
+        } catch (error) {
+            console.warn('Match correction lookup failed:', error);
+            return none;
         }
-        
-        if (bestMatch.popularity && bestMatch.popularity < 0.5) {
-                console.log(`🔍 needsManualReview: Low popularity (${bestMatch.popularity})`);
-                return true;
-        }        
+    },
 
-        console.log('🔍 needsManualReview: Passed all checks - should NOT need review');
-            return false;
-        },
+    /* Distinct users who made a correction; ones recorded before correctedBy existed count as one */
+    correctionUsers(correction) {
+        return correction.correctedBy ? correction.correctedBy.length : 1;
+    },
 
-    /* Calculate title similarity using multiple methods */
-    calculateTitleSimilarity(original, candidate) {
-        if (!original || !candidate) return 0;
+    /* Enough users agree on an exact-title correction that it needs neither search nor review */
+    isTrustedCorrection(correction) {
+        return this.correctionUsers(correction) >= this.CORRECTION_TRUSTED_USERS;
+    },
 
-        const origClean = this.normalizeTitle(original);
-        const candClean = this.normalizeTitle(candidate);
+    /* Boost points per corrected TMDB id, scaled by how many users confirmed it; exact-title corrections weigh more */
+    correctionBoosts(similar, exact = []) {
+        if (!similar.length && !exact.length) return null;
+        const boosts = {};
+        const addBoost = (correction, base) => {
+            const key = `${correction.mediaType}_${correction.tmdbId}`;
+            const points = Math.min(base + (this.correctionUsers(correction) - 1) * 5, base * 2);
+            boosts[key] = Math.max(boosts[key] || 0, points);
+        };
+        similar.forEach(correction => addBoost(correction, this.CORRECTION_BOOST));
+        exact.forEach(correction => addBoost(correction, this.EXACT_CORRECTION_BOOST));
+        return boosts;
+    },
 
-        // Exact match gets full points
-        if (origClean === candClean) {
-            return 40;
-        }
+    /* Build a lookup result straight from a trusted exact-title correction, skipping fuzzy search */
+    async resolveFromCorrection(upcData, correction) {
+        const { title: cleanTitle, removed: removedTokens } = this.cleanMovieTitleDetailed(upcData.originalTitle);
+        const extractedYear = this.extractYearFromTitle(upcData.originalTitle);
 
-        // Check if one contains the other
-        if (origClean.includes(candClean) || candClean.includes(origClean)) {
-            return 35;
-        }
+        const tmdbData = await this.getTMDBDetails(correction.mediaType, correction.tmdbId);
+        tmdbData.matchScore = 100;
 
-        // Levenshtein distance-based scoring
-        const distance = this.levenshteinDistance(origClean, candClean);
-        const maxLength = Math.max(origClean.length, candClean.length);
-        const similarity = 1 - (distance / maxLength);
-        
-        // Word overlap scoring
-        const origWords = new Set(origClean.split(/\s+/));
-        const candWords = new Set(candClean.split(/\s+/));
-        const intersection = new Set([...origWords].filter(word => candWords.has(word)));
-        const union = new Set([...origWords, ...candWords]);
-        const wordSimilarity = intersection.size / union.size;
-
-        // Combine the scores
-        const combinedScore = (similarity * 0.6 + wordSimilarity * 0.4) * 40;
-        
-        return Math.max(0, combinedScore);
-    },
+        console.log(`🧠 Correction hit for "${upcData.originalTitle}": ${correction.title} (${this.correctionUsers(correction)} users)`);
 
-    /* Normalize title for comparison */
-    normalizeTitle(title) {
-        return title
-            .toLowerCase()
-            .replace(/[^\w\s]/g, '') // Remove punctuation
-            .replace(/\b(the|a|an)\b/g, '') // Remove articles
-            .replace(/\s+/g, ' ') // Normalize whitespace
-            .trim();
+        // Enough users confirmed this match that nothing about it is in doubt
+        const result = this.buildLookupResult(upcData, tmdbData, cleanTitle, extractedYear, removedTokens);
+        result.confidence = 1;
+        result.reasons = [];
+        result.needsReview = false;
+        result.source = 'correction';
+        return result;
     },
 
-    /* Calculate Levenshtein distance between two strings */
-    levenshteinDistance(str1, str2) {
-        const matrix = [];
-        
-        for (let i = 0; i <= str2.length; i++) {
-            matrix[i] = [i];
-        }
-        
-        for (let j = 0; j <= str1.length; j++) {
-            matrix[0][j] = j;
-        }
-        
-        for (let i = 1; i <= str2.length; i++) {
-            for (let j = 1; j <= str1.length; j++) {
-                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                    matrix[i][j] = matrix[i - 1][j - 1];
-                } else {
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j - 1] + 1,
-                        matrix[i][j - 1] + 1,
-                        matrix[i - 1][j] + 1
-                    );
-                }
-            }
+    /* Re-check a server (batch) result against exact-title corrections */
+    async applyMatchCorrections(result) {
+        if (!result || result.source !== 'lookup' || !result.upcData || result.releaseKind) return result;
+
+        const { exact } = await this.findMatchCorrections(result.upcData.originalTitle);
+        if (!exact.length) return result;
+
+        const picked = correction => `${correction.tmdbId}` === `${result.tmdbData.id}` && correction.mediaType === result.tmdbData.media_type;
+        const trusted = exact.find(correction => this.isTrustedCorrection(correction));
+        if (trusted) {
+            return picked(trusted)
+                ? { ...result, confidence: 1, reasons: [], needsReview: false, source: 'correction' }
+                : this.resolveFromCorrection(result.upcData, trusted);
         }
-        
-        return matrix[str2.length][str1.length];
-    },
+        if (exact.some(picked)) return result;
 
-    /* Extract year from TMDB date string */
-    extractYearFromDate(dateString) {
-        if (!dateString) return null;
-        const year = parseInt(dateString.substring(0, 4));
-        return (year >= 1900 && year <= 2030) ? year : null;
+        // The server picked something else: search again with the corrections boosted, as completeMovieLookup does
+        const boosts = this.correctionBoosts([], exact);
+        const tmdbData = await this._searchTMDB(result.cleanTitle, result.extractedYear, false, boosts, this.extractCreditHints(result.upcData.originalTitle));
+        return this.buildLookupResult(result.upcData, tmdbData, result.cleanTitle, result.extractedYear, result.removedTokens || [], await this.getMatchThresholds());
     },
 
-    /* Complete lookup: UPC -> Title Extraction -> TMDB Search */
+    /* Complete lookup: Registry -> UPC -> Corrections -> Season/Collection Detection -> Title Extraction -> TMDB Search */
     async completeMovieLookup(barcode) {
         try {
             console.log(`🚀 Starting complete lookup for barcode: ${barcode}`);
+
+        // Step 0: Barcodes other users already linked resolve without any UPC lookup
+        const registryResult = await this.resolveFromRegistry(barcode);
+        if (registryResult) {
+            return registryResult;
+        }
             
         // Step 1: Get UPC data (cached)
         const upcData = await this.lookupUPCData(barcode);
         console.log(`✅ UPC data retrieved: "${upcData.originalTitle}"`);
         
-        // Step 2: Extract and clean movie title
-        const cleanTitle = this.cleanMovieTitle(upcData.originalTitle);
+        // Step 2: A correction for this exact UPC title only wins outright once enough users made it;
+        // otherwise corrections just boost their pick in the search below, and assessMatch still decides review
+        const corrections = await this.findMatchCorrections(upcData.originalTitle);
+        const trustedCorrection = corrections.exact.find(correction => this.isTrustedCorrection(correction));
+        if (trustedCorrection) {
+            return await this.resolveFromCorrection(upcData, trustedCorrection);
+        }
+
+        // Step 3: TV seasons and box sets resolve to a show + season or to several movies
+        const release = this.detectReleaseKind(upcData.originalTitle);
+        if (release.kind !== 'movie') {
+            console.log(`📦 Detected ${release.kind}: "${release.baseTitle}" (${release.marker})`);
+            return await this.matchSeasonOrCollection(this.tmdbClient(), upcData, release, await this.getMatchThresholds());
+        }
+
+        // Step 4: Extract and clean movie title
+        const { title: cleanTitle, removed: removedTokens } = this.cleanMovieTitleDetailed(upcData.originalTitle);
         const extractedYear = this.extractYearFromTitle(upcData.originalTitle);
         console.log(`🧹 Cleaned title: "${cleanTitle}", Year: ${extractedYear || 'none'}`);
         
-        // Step 3: Search TMDB with optimization
-        const tmdbData = await this.searchTMDBForTitle(cleanTitle, extractedYear);
+        // Step 5: Search TMDB with optimization; corrections (exact-title ones weigh more) and cast/crew named
+        // on the package boost their match (boosted searches skip the search cache since the boosts change over time)
+        const boosts = this.correctionBoosts(corrections.similar, corrections.exact);
+        const credits = this.extractCreditHints(upcData.originalTitle);
+        const tmdbData = boosts
+            ? await this._searchTMDB(cleanTitle, extractedYear, false, boosts, credits)
+            : await this.searchTMDBForTitle(cleanTitle, extractedYear, false, credits);
         console.log(`✅ TMDB data retrieved: "${tmdbData.title || tmdbData.name}"`);
         
-        // Step 4: Create physical edition data
-        const physicalEdition = this.createPhysicalEditionData(upcData);
-
-        // Step 5: Determine confidence and review status
-        let confidence = tmdbData.matchScore || 0; 
-            // If no matchScore (likely from cache), calculate a basic confidence
-            if (confidence === 0 && tmdbData && upcData) {
-                // Calculate a basic confidence based on title similarity
-                const titleSimilarity = this.calculateTitleSimilarity(cleanTitle, tmdbData.title || tmdbData.name);
-                const hasYear = extractedYear && (tmdbData.release_date || tmdbData.first_air_date);
-                const yearMatch = hasYear ? Math.abs(extractedYear - this.extractYearFromDate(tmdbData.release_date || tmdbData.first_air_date)) <= 1 : false;
-                
-                confidence = titleSimilarity + (yearMatch ? 20 : 0) + (tmdbData.popularity ? Math.min(tmdbData.popularity / 10, 15) : 0);
-                console.log(`📊 Calculated fallback confidence: ${confidence} (title: ${titleSimilarity}, year: ${yearMatch}, pop: ${tmdbData.popularity || 0})`);
-
-                // Update the tmdbData object so needsManualReview can see the calculated score
-                tmdbData.matchScore = confidence;
-            }
-
-            const needsReview = this.needsManualReview(tmdbData, cleanTitle, extractedYear);
-            console.log(`📊 Match confidence: ${confidence}, Needs review: ${needsReview}`);    
-
-            return {
-                upcData,
-                tmdbData,
-                physicalEdition,
-                cleanTitle,
-                extractedYear,
-                confidence, 
-                needsReview    
-            };
+        // Step 6: Physical edition data, confidence and review status (against the user's thresholds)
+        const thresholds = await this.getMatchThresholds();
+        return this.buildLookupResult(upcData, tmdbData, cleanTitle, extractedYear, removedTokens, thresholds);
             
         } catch (error) {
             console.error('💥 Complete movie lookup failed:', error);
@@ -981,256 +1720,282 @@ const MediaLookupUtils = {
 
     },
 
-    /* Clean movie title by removing format indicators and years */
-    cleanMovieTitle(title) {
-        if (!title) return '';
-        
-        let cleaned = title;
-            const studioNames = [
-                'warner home video', 'sony pictures', 'alpha video', 'universal studios',
-                'paramount pictures', 'disney', 'mgm', 'columbia pictures', 'fox',
-                'lionsgate', 'criterion collection', 'anchor bay', 'searchlight','magnolia',
-            ];
-
-            studioNames.forEach(studio => {
-                const regex = new RegExp(`\\b${studio}\\b`, 'gi');
-                cleaned = cleaned.replace(regex, '');
-            });
-            
-            cleaned = cleaned
-            .replace(/\b(DVD|Blu-ray|Blu Ray|BD|4K|UHD|Ultra HD|HD)\b/gi, '')
-            .replace(/\b(Widescreen|Full Screen|Fullscreen)\b/gi, '')
-            .replace(/\b(Director's Cut|Extended Edition|Special Edition|Collector's Edition|Limited Edition|Anniversary Edition|Unrated|Theatrical|Ultimate Edition|Extended|Cut|2-Disc|Two Disk|2 Disk|Deluxe)\b/gi, '');
-
-            cleaned = cleaned
-                .replace(/\b(comedy|drama|action|thriller|horror|romance|sci-fi|fantasy|adventure|documentary)\b/gi, '')
-                .replace(/\b(Version You've Never Seen|Special Features|Bonus Material|Behind the Scenes)\b/gi, '')
-                .replace(/\b(used|new|sealed)\b/gi, '');
-            
-            cleaned = cleaned
-                .replace(/\bs\b/g, "'s")  // Fix missing apostrophes
-                .replace(/\bt\b/g, "'t")  // Fix "don t" -> "don't"
-                .replace(/\bre\b/g, "'re") // Fix "you re" -> "you're"
-                .replace(/\bve\b/g, "'ve") // Fix "I ve" -> "I've"
-                .replace(/\bll\b/g, "'ll"); // Fix "I ll" -> "I'll"
-
-            cleaned = cleaned.replace(/[\(\[]?\b(19|20)\d{2}\b[\)\]]?/g, '');
-    
-            // Step 6: Remove disc indicators and region codes
-            cleaned = cleaned
-                .replace(/\b(Disc \d+|Side [AB]|Region \d+|All Regions|Region Free|Region 1|Region 2|UK|US)\b/gi, '')
-                .replace(/\b(Full Frame|Anamorphic|Pan & Scan)\b/gi, '');
-            
-            // Step 7: Clean up whitespace and punctuation
-            cleaned = cleaned
-                .replace(/\s+/g, ' ')  // Multiple spaces to single
-                .replace(/[^\w\s&'-]/g, '') // Keep only word chars, spaces, &, ', -
-                .replace(/^[^\w]+|[^\w]+$/g, '') // Remove leading/trailing non-word chars
-                .trim();
-            
-            // Step 8: Proper case the result
-            cleaned = cleaned.toLowerCase().replace(/\b\w/g, l => l.toUpperCase());
-            
-            // If cleaning resulted in empty or very short string, return original
-            if (cleaned.length < 2) {
-                return title.trim();
-            }
-            
-            console.log(`Title cleaning: "${title}" → "${cleaned}"`);
-            return cleaned;
-        },
+    /**
+     * Look up many barcodes in one request. Registry hits resolve locally; the rest
+     * go to /api/lookup/batch, which streams one NDJSON line per barcode.
+     * @param {string[]} barcodes - Barcodes to look up (at most BATCH_MAX_BARCODES)
+     * @param {function} onResult - Called as onResult(barcode, lookupResult, error) for every barcode.
+     *   error.message is 'RATE_LIMIT' (with error.retryAfterMs) when the barcode should be retried later.
+     */
+    async batchLookup(barcodes, onResult) {
+        const remaining = [];
 
-    /* Extract year from title string */
-    extractYearFromTitle(title) {
-        if (!title) return null;
-        
-        const yearMatch = title.match(/\b(19|20)\d{2}\b/);
-        if (yearMatch) {
-            const year = parseInt(yearMatch[0]);
-            const currentYear = new Date().getFullYear();
-            // Validate year is reasonable
-            if (year >= 1900 && year <= currentYear + 2) {
-                return year;
+        for (const barcode of barcodes) {
+            const registryResult = await this.resolveFromRegistry(barcode);
+            if (registryResult) {
+                onResult(barcode, registryResult, null);
+            } else {
+                remaining.push(barcode);
             }
         }
-        return null;
-    },
-    extractActorNames(title) {
-        if (!title) return [];
-        
-        // Common patterns like "Movie starring Actor" or "Actor in Movie"
-        const patterns = [
-            /starring\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/gi,
-            /with\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/gi,
-            /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)\s+in/gi,
-            /featuring\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/gi
-        ];
-        
-        const actors = [];
-        patterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(title)) !== null) {
-                const actorName = match[1].trim();
-                if (actorName.length > 3 && !actors.includes(actorName)) {
-                    actors.push(actorName);
-                }
-            }
+
+        if (remaining.length === 0) return;
+
+        const response = await fetch(this.BATCH_LOOKUP_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ barcodes: remaining, thresholds: await this.getMatchThresholds() })
         });
-        return actors;
-    },
-        
-    extractDirectorHints(title) {
-        if (!title) return [];
-        
-        const patterns = [
-            /directed\s+by\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/gi,
-            /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)\s+film/gi,
-            /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)\s+movie/gi,
-            /from\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/gi
-        ];
-        
-        const directors = [];
-        patterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(title)) !== null) {
-                const directorName = match[1].trim();
-                if (directorName.length > 3 && !directors.includes(directorName)) {
-                    directors.push(directorName);
-                }
+
+        if (!response.ok || !response.body) {
+            const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+            throw new Error(errorData.error || `Batch lookup returned ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const seen = new Set();
+        let buffer = '';
+
+        const handleLine = async (line) => {
+            if (!line.trim()) return;
+            const item = JSON.parse(line);
+            if (item.done) return;
+
+            seen.add(item.barcode);
+            if (item.status === 'ok') {
+                // Keep the browser cache warm so single lookups of these barcodes are instant
+                await this.persistentCache.set('upc', item.barcode, item.upcData);
+                // The server can't see learned corrections, so apply them here
+                onResult(item.barcode, await this.applyMatchCorrections(item), null);
+            } else if (item.status === 'rate_limited') {
+                const rateLimitError = new Error('RATE_LIMIT');
+                rateLimitError.retryAfterMs = item.retryAfter ? item.retryAfter * 1000 : null;
+                onResult(item.barcode, null, rateLimitError);
+            } else {
+                onResult(item.barcode, null, new Error(item.error || 'Lookup failed'));
             }
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                await handleLine(line);
+            }
+        }
+        await handleLine(buffer);
+
+        // A dropped stream leaves barcodes unanswered - report them so callers can retry
+        remaining.filter(barcode => !seen.has(barcode)).forEach(barcode => {
+            onResult(barcode, null, new Error('Batch lookup ended before this barcode finished'));
         });
-        return directors;
     },
 
-    /* Create physical edition data from UPC information */
-    createPhysicalEditionData(upcData) {
-            return {
-            format: this.extractFormat(upcData.originalTitle, upcData.category),
-            edition: this.extractEdition(upcData.originalTitle),
-            region: this.extractRegion(upcData.originalTitle, upcData.description),
-            distributor: upcData.brand || '',
-            features: this.extractFeatures(upcData.originalTitle, upcData.description),
-            barcode: upcData.barcode
+    /* Clear caches (useful for testing)*/
+    async clearCaches() {
+        this.pendingRequests.clear();
+        if (this.persistentCache) {
+            await this.persistentCache.clearAll();
+        }
+        console.log('🗑️ All caches cleared');
+    },
+
+    /**
+     * Get cache statistics
+     */
+    async getCacheStats() {
+        return {
+            pendingRequests: this.pendingRequests.size,
+            persistentCacheSize: this.persistentCache ? await this.persistentCache.getStats() : null
         };
     },
+};
 
-    /* Extract media format from title and category */
-    extractFormat(title, category) {
-        const formats = ['4K', 'UHD', 'Ultra HD', 'Blu-ray', 'Blu Ray', 'DVD', 'Digital', 'VHS'];
-        const titleUpper = (title || '').toUpperCase();
-        const categoryUpper = (category || '').toUpperCase();
-        
-        for (const format of formats) {
-            if (titleUpper.includes(format.toUpperCase()) || categoryUpper.includes(format.toUpperCase())) {
-                if (format === 'Blu Ray') return 'Blu-ray';
-                if (format === 'Ultra HD' || titleUpper.includes('4K')) return '4K UHD';
-                return format;
-            }
+/**
+ * OFFLINE SCAN OUTBOX === Barcodes scanned without a connection.
+ * Each scan is kept in IndexedDB (localStorage when IndexedDB is unavailable) with when and
+ * where it was scanned until bulk-scan.html looks it up once the connection is back.
+ * Entries move from 'pending' to 'resolved' or 'failed' and stay until the user clears them.
+ */
+const ScanOutbox = {
+    DB_NAME: 'tiny_lizard_scans',
+    DB_VERSION: 1,
+    STORE: 'scans',
+    FALLBACK_STORAGE_KEY: 'scanOutbox',
+    SYNC_TAG: 'scan-outbox',       // Background Sync tag; sw.js tells open pages to drain the outbox
+    SYNC_MESSAGE: 'scan-outbox-sync',
+    LOCATION_TIMEOUT_MS: 5000,
+
+    dbPromise: null,
+
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') return resolve(null);
+
+                let request;
+                try {
+                    request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                } catch (error) {
+                    console.warn('IndexedDB unavailable, keeping offline scans in localStorage:', error);
+                    return resolve(null);
+                }
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.STORE)) {
+                        db.createObjectStore(this.STORE, { keyPath: 'id' }).createIndex('userId', 'userId');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('IndexedDB unavailable, keeping offline scans in localStorage:', request.error);
+                    resolve(null);
+                };
+            });
         }
-        
-        // Default assumption based on common patterns
-        if (titleUpper.includes('HD') || categoryUpper.includes('HD')) return 'Blu-ray';
-        return 'DVD';
+        return this.dbPromise;
     },
 
-    /* Extract edition type from title */
-    extractEdition(title) {
-        const editions = [
-            'Director\'s Cut', 'Extended Edition', 'Special Edition', 'Collector\'s Edition',
-            'Limited Edition', 'Anniversary Edition', 'Theatrical Release', 'Unrated',
-            'Ultimate Edition', 'Criterion Collection', 'Collector', 'Edition','Director','Extended','Cut',
-            'Two-Disk', '2-Disk','2-Disc','Two-Disc','2 Disk','2 Disc','Two Disk','Two Disc'
-        ];
-        
-        const titleLower = (title || '').toLowerCase();
-        
-        for (const edition of editions) {
-            if (titleLower.includes(edition.toLowerCase())) {
-                return edition;
-            }
+    /* Same contract as AppCache._transaction, on the scans store */
+    _transaction(db, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([this.STORE], mode);
+            const request = work(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Scan outbox transaction aborted'));
+        });
+    },
+
+    _readFallback() {
+        try {
+            return JSON.parse(localStorage.getItem(this.FALLBACK_STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
         }
-        
-        return 'Standard';
+    },
+
+    _writeFallback(entries) {
+        localStorage.setItem(this.FALLBACK_STORAGE_KEY, JSON.stringify(entries));
     },
 
     /**
-     * Extract region information
+     * Where the device is right now, or null when location is denied, unsupported or slow.
+     * @returns {Promise<{latitude: number, longitude: number, accuracy: number}|null>}
      */
-    extractRegion(title, description) {
-        const regions = ['Region 1', 'Region 2', 'Region 3', 'Region A', 'Region B', 'Region C', 'All Regions', 'Region Free'];
-        const searchText = `${title || ''} ${description || ''}`.toLowerCase();
-        
-        for (const region of regions) {
-            if (searchText.includes(region.toLowerCase())) {
-                return region;
-            }
-        }
-        
-        // Default assumption for US market
-        return 'Region 1';
+    getLocation() {
+        return new Promise(resolve => {
+            if (typeof navigator === 'undefined' || !navigator.geolocation) return resolve(null);
+
+            navigator.geolocation.getCurrentPosition(
+                ({ coords }) => resolve({ latitude: coords.latitude, longitude: coords.longitude, accuracy: coords.accuracy }),
+                () => resolve(null),
+                { enableHighAccuracy: false, timeout: this.LOCATION_TIMEOUT_MS, maximumAge: 10 * 60 * 1000 }
+            );
+        });
     },
 
     /**
-     * Extract special features from title and description
+     * Stores a barcode scanned while offline.
+     * @param {string} barcode - The scanned barcode
+     * @param {string} userId - Owner of the scan; other accounts on this device never see it
+     * @param {object} details - Extra fields kept with the scan, e.g. { sourcePhoto }
+     * @returns {Promise<object>} The stored entry
      */
-    extractFeatures(title, description) {
-        const features = [];
-        const searchText = `${title || ''} ${description || ''}`.toLowerCase();
-        
-        const featureMap = {
-            'commentary': 'Director Commentary',
-            'deleted scenes': 'Deleted Scenes',
-            'behind the scenes': 'Behind the Scenes',
-            'making of': 'Making Of',
-            'bloopers': 'Bloopers/Outtakes',
-            'gag reel': 'Bloopers/Outtakes',
-            'documentary': 'Documentary',
-            'interviews': 'Cast/Crew Interviews',
-            'featurette': 'Featurettes',
-            'trailer': 'Trailers',
-            'music video': 'Music Videos'
+    async add(barcode, userId, details = {}) {
+        const scannedAt = Date.now();
+        const entry = {
+            ...details,
+            id: `${scannedAt}_${Math.random().toString(36).slice(2, 8)}`,
+            barcode,
+            userId,
+            scannedAt,
+            location: await this.getLocation(),
+            status: 'pending',
+            error: null,
+            settledAt: null
         };
-        
-        Object.entries(featureMap).forEach(([keyword, feature]) => {
-            if (searchText.includes(keyword)) {
-                features.push(feature);
-            }
-        });
-        
-        return features;
+
+        const db = await this._open();
+        if (db) {
+            await this._transaction(db, 'readwrite', store => store.put(entry));
+        } else {
+            this._writeFallback([...this._readFallback(), entry]);
+        }
+        return entry;
     },
-    
-    extractReleaseType(title) {
-        const types = ['Initial Release', 'Re-release', 'Special Release', 'Anniversary'];
-        const titleLower = title.toLowerCase();
-        
-        if (titleLower.includes('anniversary')) return 'Anniversary';
-        if (titleLower.includes('special')) return 'Special Release';
-        if (titleLower.includes('re-release') || titleLower.includes('rerelease')) return 'Re-release';
-        
-        return 'Initial Release';
+
+    /**
+     * Every scan stored for a user, oldest first.
+     * @param {string} userId
+     * @returns {Promise<object[]>}
+     */
+    async list(userId) {
+        const db = await this._open();
+        const entries = db
+            ? await this._transaction(db, 'readonly', store => store.index('userId').getAll(userId))
+            : this._readFallback().filter(entry => entry.userId === userId);
+        return (entries || []).sort((a, b) => a.scannedAt - b.scannedAt);
     },
 
-    /* Clear caches (useful for testing)*/
-    clearCaches() {
-        this.sessionCache.clear();
-        this.pendingRequests.clear();
-        if (this.persistentCache) {
-            this.persistentCache.clearAll();
+    /**
+     * Updates a stored scan, e.g. { status: 'resolved' } once it has been looked up.
+     * @param {string} id - Entry id
+     * @param {object} changes - Fields to overwrite
+     * @returns {Promise<object|null>} The updated entry, or null if it no longer exists
+     */
+    async update(id, changes) {
+        const db = await this._open();
+        if (!db) {
+            const entries = this._readFallback();
+            const entry = entries.find(item => item.id === id);
+            if (!entry) return null;
+            Object.assign(entry, changes);
+            this._writeFallback(entries);
+            return entry;
         }
-        console.log('🗑️ All caches cleared');
+
+        const entry = await this._transaction(db, 'readonly', store => store.get(id));
+        if (!entry) return null;
+        Object.assign(entry, changes);
+        await this._transaction(db, 'readwrite', store => store.put(entry));
+        return entry;
     },
 
     /**
-     * Get cache statistics
+     * Removes stored scans.
+     * @param {string[]} ids - Entry ids
      */
-    getCacheStats() {
-        return {
-            sessionCacheSize: this.sessionCache.size,
-            pendingRequests: this.pendingRequests.size,
-            persistentCacheSize: this.persistentCache ? this.persistentCache.getStats() : null
-        };
+    async remove(ids) {
+        if (!ids.length) return;
+        const db = await this._open();
+        if (db) {
+            await this._transaction(db, 'readwrite', store => {
+                ids.forEach(id => store.delete(id));
+            });
+        } else {
+            this._writeFallback(this._readFallback().filter(entry => !ids.includes(entry.id)));
+        }
     },
+
+    /**
+     * Asks the service worker to wake open pages when the connection returns, even if the
+     * page missed the 'online' event. No-op where Background Sync is unsupported.
+     */
+    async requestSync() {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) await registration.sync.register(this.SYNC_TAG);
+        } catch (error) {
+            console.warn('Background sync unavailable:', error);
+        }
+    }
 };
 
 /* SCANNER UI HELPERS * Common UI functions for scanner interfaces */
@@ -1250,12 +2015,12 @@ const ScannerUI = {
             title: 'Manual Barcode Entry',
             content: `
                 <div class="form-group">
-                    <label for="manualBarcodeInput">Barcode (8-18 digits)</label>
+                    <label for="manualBarcodeInput">Barcode (UPC, EAN or GTIN)</label>
                     <input type="text" id="manualBarcodeInput" 
                            class="form-control"
-                           placeholder="Enter 8-18 digit barcode" 
-                           pattern="[0-9]{8,18}" 
-                           maxlength="18"
+                           placeholder="Enter the digits under the barcode" 
+                           inputmode="numeric"
+                           maxlength="22"
                            autofocus>
                 </div>
             `,
@@ -1264,21 +2029,133 @@ const ScannerUI = {
                 {
                     text: 'Submit',
                     class: 'btn-primary',
+                    closes: false,
                     onClick: (modalBody) => {
                         const input = modalBody.querySelector('#manualBarcodeInput');
                         const barcode = input.value.trim();
+                        // Close first: submitting can open its own modal (the repeat-scan prompt)
+                        ModalManager.close();
                         // Call the stored onSubmit function if it exists and a barcode was entered
                         if (barcode && this._onSubmit) {
-                           if (this._onSubmit(barcode)) {
-                               // The callback can return false to prevent the modal from closing
-                           }
+                            this._onSubmit(barcode);
                         }
                     }
                 }
             ]
         });
     },
+
+    /**
+     * Default ScannerManager onDuplicate for the 'prompt' policy
+     * @param {string} barcode - Barcode scanned again
+     * @param {number} count - Times it was already scanned this session
+     * @param {object|null} source - Photo it was read from, if any
+     * @returns {Promise<boolean>} True to count it as another copy
+     */
+    confirmDuplicateScan(barcode, count, source = null) {
+        return new Promise((resolve) => {
+            ModalManager.show({
+                title: 'scanned again',
+                content: `
+                    <p>you've already scanned <strong>${barcode}</strong> ${count === 1 ? 'once' : `${count} times`} this session${source && source.name ? ` (this one is from ${source.name})` : ''}.</p>
+                    <p>is this another copy of the same disc?</p>
+                `,
+                buttons: [
+                    {
+                        text: '<span class="icon icon-close"></span> skip it',
+                        class: 'btn-rectangular',
+                        onClick: () => resolve(false)
+                    },
+                    {
+                        text: '<span class="icon icon-add"></span> add another copy',
+                        class: 'btn-success btn-rectangular',
+                        onClick: () => resolve(true)
+                    }
+                ],
+                onClose: () => resolve(false) // Closing the modal keeps the session as it was
+            });
+        });
+    },
     
+    /**
+     * Camera picker plus torch, zoom and focus controls for whatever the running camera
+     * supports. Call after scanner.startCamera() succeeds; unsupported controls are left out.
+     * @param {string} containerId - Element to render the controls into
+     * @param {ScannerManager} scanner - The scanner whose camera is running
+     */
+    async renderCameraControls(containerId, scanner) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const cameras = await scanner.listCameras();
+        const capabilities = scanner.getCameraCapabilities();
+        const range = (control, { min, max, step, value }) =>
+            `<input type="range" data-control="${control}" min="${min}" max="${max}" step="${step}" value="${value}">`;
+        const controls = [];
+        // Labels and modes come from the device, so they're escaped like any other outside text
+        const escapeHtml = LibraryUtils.ui.escapeHtml;
+
+        if (cameras.length > 1) {
+            controls.push(`
+                <label class="camera-control">
+                    <span>camera</span>
+                    <select data-control="camera">
+                        ${cameras.map(camera => `<option value="${escapeHtml(camera.deviceId)}" ${camera.deviceId === scanner.currentCameraId ? 'selected' : ''}>${escapeHtml(camera.label)}</option>`).join('')}
+                    </select>
+                </label>
+            `);
+        }
+        if (capabilities.torch) {
+            controls.push(`
+                <button type="button" class="btn btn-sm camera-torch ${capabilities.torchOn ? 'active' : ''}" data-control="torch"
+                        aria-pressed="${capabilities.torchOn}" title="toggle flashlight">torch</button>
+            `);
+        }
+        if (capabilities.zoom) {
+            controls.push(`<label class="camera-control"><span>zoom</span>${range('zoom', capabilities.zoom)}</label>`);
+        }
+        if (capabilities.focusModes.length > 1) {
+            controls.push(`
+                <label class="camera-control">
+                    <span>focus</span>
+                    <select data-control="focus">
+                        ${capabilities.focusModes.map(mode => `<option value="${escapeHtml(mode)}" ${mode === capabilities.focusMode ? 'selected' : ''}>${escapeHtml(mode)}</option>`).join('')}
+                    </select>
+                </label>
+            `);
+        }
+        if (capabilities.focusDistance && capabilities.focusMode === 'manual') {
+            controls.push(`<label class="camera-control"><span>distance</span>${range('focusDistance', capabilities.focusDistance)}</label>`);
+        }
+
+        container.innerHTML = controls.join('');
+        container.style.display = controls.length ? '' : 'none';
+
+        // Properties rather than listeners, so re-rendering never stacks handlers
+        container.onchange = async (e) => {
+            const control = e.target.dataset.control;
+            if (control === 'camera') {
+                if (await scanner.switchCamera(e.target.value)) this.renderCameraControls(containerId, scanner);
+            } else if (control === 'focus') {
+                if (await scanner.setFocus(e.target.value)) this.renderCameraControls(containerId, scanner);
+            }
+        };
+        container.oninput = (e) => {
+            const control = e.target.dataset.control;
+            if (control === 'zoom') scanner.setZoom(e.target.value);
+            else if (control === 'focusDistance') scanner.setFocus('manual', e.target.value);
+        };
+        container.onclick = async (e) => {
+            const torchBtn = e.target.closest('[data-control="torch"]');
+            if (!torchBtn) return;
+            const on = torchBtn.getAttribute('aria-pressed') !== 'true';
+            if (await scanner.setTorch(on)) {
+                torchBtn.classList.toggle('active', on);
+                torchBtn.setAttribute('aria-pressed', `${on}`);
+            }
+        };
+    },
+
     /* Create scanner status display */
     createStatusDisplay(containerId) {
         const container = document.getElementById(containerId);
@@ -1304,12 +2181,20 @@ const ScannerUI = {
         // Make classes available first
         window.MediaLookupUtils = MediaLookupUtils;
         window.ScannerUI = ScannerUI;
+        window.ScanOutbox = ScanOutbox;
 
         // Then initialize MediaLookupUtils
         document.addEventListener('DOMContentLoaded', () => {
             MediaLookupUtils.init();
             console.log('🚀 Scanner utilities initialized successfully');
         });
+
+        // Bring this user's older physicalCopies to canonical barcodes (once per user)
+        document.addEventListener('authStateReady', (e) => {
+            if (e.detail && e.detail.user) {
+                MediaLookupUtils.migrateBarcodes(e.detail.user.uid);
+            }
+        });
         
         // For backward compatibility
         window.mediaLookupUtils = MediaLookupUtils;
@@ -1340,7 +2225,10 @@ async function testOptimizedLookup() {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         ScannerManager,
+        NativeBarcodeBackend,
+        ZXingBarcodeBackend,
         MediaLookupUtils,
-        ScannerUI
+        ScannerUI,
+        ScanOutbox
     };
 }
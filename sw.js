@@ -0,0 +1,176 @@
+// sw.js - Service worker for offline use (garage sales, thrift stores, weak signal)
+//
+// - App shell (pages, navbar/footer partials, styles, icons, scripts) is precached and
+//   served network-first, so deploys show up immediately online and the last copy works offline.
+// - TMDb posters are cache-first and capped, so anything browsed once stays visible.
+// - Third-party libraries (Firebase SDK, ZXing, fonts) are served stale-while-revalidate.
+// - /api calls are never cached; pages handle those failures themselves.
+// - Background Sync for barcodes scanned offline: lookups need the signed-in page (Firestore,
+//   learned corrections), so the worker only tells open pages to drain ScanOutbox.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const LIBRARY_CACHE = `libraries-${CACHE_VERSION}`;
+const POSTER_CACHE = 'tmdb-posters'; // Unversioned: posters don't change between deploys
+const MAX_POSTERS = 400;
+const SCAN_SYNC_TAG = 'scan-outbox';           // ScanOutbox.SYNC_TAG
+const SCAN_SYNC_MESSAGE = 'scan-outbox-sync';  // ScanOutbox.SYNC_MESSAGE
+
+const SHELL_FILES = [
+    '/index.html',
+    '/auth.html',
+    '/library.html',
+    '/my-stacks.html',
+    '/movie-details.html',
+    '/profile.html',
+    '/lists.html',
+    '/view-list.html',
+    '/create-list.html',
+    '/edit-list.html',
+    '/add-movie.html',
+    '/edit-movie.html',
+    '/bulk-scan.html',
+    '/review-failed.html',
+    '/navbar.html',
+    '/footer.html',
+    '/styles/variables.css',
+    '/styles/base.css',
+    '/styles/components.css',
+    '/styles/pages.css',
+    '/main.js',
+    '/barcodes.js',
+    '/utils.js',
+    '/modal-manager.js',
+    '/media-matching.js',
+    '/scanner-utils.js',
+    '/cache.js',
+    '/search-ui.js',
+    '/icons/add.svg',
+    '/icons/back.svg',
+    '/icons/bulk.svg',
+    '/icons/close.svg',
+    '/icons/comment.svg',
+    '/icons/confirm.svg',
+    '/icons/details.svg',
+    '/icons/dvds.svg',
+    '/icons/edit.svg',
+    '/icons/hamburger.svg',
+    '/icons/heart.svg',
+    '/icons/list.svg',
+    '/icons/movie.svg',
+    '/icons/person.svg',
+    '/icons/posters.svg',
+    '/icons/profile.svg',
+    '/icons/search.svg',
+    '/icons/snack.png',
+    '/icons/star-empty.svg',
+    '/icons/star-full.svg',
+    '/icons/star-half.svg',
+    '/icons/trash.svg',
+    '/icons/tv.svg',
+    '/icons/unwatched.svg',
+    '/icons/watched.svg'
+];
+
+const LIBRARY_HOSTS = [
+    'www.gstatic.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com',
+    'unpkg.com',
+    'cdn.jsdelivr.net',
+    'placehold.co'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const keep = [SHELL_CACHE, LIBRARY_CACHE, POSTER_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/')) return;
+        event.respondWith(networkFirst(request));
+    } else if (url.hostname === 'image.tmdb.org') {
+        event.respondWith(cachePoster(request));
+    } else if (LIBRARY_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, LIBRARY_CACHE));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== SCAN_SYNC_TAG) return;
+    // Pending scans stay in IndexedDB, so with no page open they are looked up on the next visit
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' })
+            .then(clients => clients.forEach(client => client.postMessage({ type: SCAN_SYNC_MESSAGE })))
+    );
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        // Pages take their state from the query string (movie-details.html?id=...), so ignore it
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (request.mode === 'navigate') return cache.match('/index.html');
+        throw error;
+    }
+}
+
+async function cachePoster(request) {
+    const cache = await caches.open(POSTER_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+
+    // CORS fetch keeps the stored copy transparent (opaque responses are padded to megabytes of quota)
+    let response;
+    try {
+        response = await fetch(request.url, { mode: 'cors' });
+    } catch (error) {
+        return fetch(request);
+    }
+    if (response.ok) {
+        await cache.put(request.url, response.clone());
+        trimCache(cache, MAX_POSTERS);
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || refresh;
+}
+
+// Drops the oldest entries (cache keys keep insertion order) beyond the limit
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
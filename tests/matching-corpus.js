@@ -0,0 +1,192 @@
+// tests/matching-corpus.js - Regression corpus for title cleaning and TMDb match scoring
+//
+// Runs every recorded UPC title in tests/fixtures/upc-titles.json through the shared
+// media-matching.js helpers and a mocked TMDb, then reports accuracy per check.
+//
+//   node tests/matching-corpus.js                    # summary + failures; exit 1 on any failure
+//   node tests/matching-corpus.js --verbose          # every fixture
+//   node tests/matching-corpus.js --json             # machine-readable summary
+//   node tests/matching-corpus.js --min-accuracy=0.9 # exit 1 only below this overall accuracy
+//
+// Fixture shape:
+//   { upcTitle, category, expected: { title, year, format, edition, tmdbId, releaseKind, seasonNumber },
+//     tmdbResults: [...], tmdbCredits: { "<media_type>_<id>": { cast, crew } },
+//     tmdbSeasons: { "<n>": {...} }, tmdbCollections: [...] }
+// tmdbResults are trimmed /search/multi results; the mock answers every search
+// strategy with them and serves details for whichever candidate wins, with credits
+// from tmdbCredits when the fixture names people on the package. Season and
+// box-set fixtures add /tv/{id}/season/{n} bodies and /collection/{id} bodies (with parts).
+// releaseKind defaults to 'movie'; for collections tmdbId is the TMDb collection id.
+
+const path = require('path');
+const { MediaMatching } = require('../media-matching.js');
+
+const FIXTURES_PATH = path.join(__dirname, 'fixtures', 'upc-titles.json');
+const CHECKS = ['kind', 'title', 'year', 'format', 'edition', 'match'];
+
+function parseArgs(argv) {
+  // Every check must pass unless --min-accuracy allows some misses (e.g. while tuning scores)
+  const options = { verbose: false, json: false, minAccuracy: 1 };
+  for (const arg of argv) {
+    if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--json') options.json = true;
+    else if (arg.startsWith('--min-accuracy=')) options.minAccuracy = parseFloat(arg.split('=')[1]);
+  }
+  return options;
+}
+
+// Mocked TMDb client with the same contract as the browser and server clients
+function createMockClient(results, seasons = {}, collections = [], credits = {}) {
+  return {
+    async searchMulti() {
+      return { results: results.map(result => ({ ...result })) };
+    },
+    async getDetails(mediaType, id) {
+      const result = results.find(item => item.id === id && item.media_type === mediaType);
+      if (!result) throw new Error(`No recorded details for ${mediaType}/${id}`);
+      return { ...result, credits: credits[`${mediaType}_${id}`] || { cast: [], crew: [] } };
+    },
+    async getSeason(tvId, seasonNumber) {
+      if (!seasons[seasonNumber]) throw new Error(`No recorded season ${seasonNumber}`);
+      return { ...seasons[seasonNumber] };
+    },
+    async searchCollection() {
+      return { results: collections.map(({ id, name }) => ({ id, name })) };
+    },
+    async getCollection(id) {
+      const collection = collections.find(item => item.id === id);
+      if (!collection) throw new Error(`No recorded collection ${id}`);
+      return { ...collection };
+    }
+  };
+}
+
+// Titles compare case-insensitively; punctuation still counts ("S.W.A.T." is not "Swat")
+function sameTitle(actual, expected) {
+  const normalize = value => (value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return normalize(actual) === normalize(expected);
+}
+
+async function runFixture(fixture) {
+  const { upcTitle, category, expected } = fixture;
+  const release = MediaMatching.detectReleaseKind(upcTitle);
+  const cleanTitle = MediaMatching.cleanMovieTitle(release.baseTitle);
+  const year = MediaMatching.extractYearFromTitle(upcTitle);
+  const format = MediaMatching.extractFormat(upcTitle, category);
+  const edition = MediaMatching.extractEdition(upcTitle);
+
+  let match = null;
+  let assessment = null;
+  let matchError = null;
+  const client = createMockClient(fixture.tmdbResults || [], fixture.tmdbSeasons, fixture.tmdbCollections, fixture.tmdbCredits);
+  try {
+    if (release.kind === 'movie') {
+      match = await MediaMatching.searchTMDB(client, cleanTitle, year, false, null, null, MediaMatching.extractCreditHints(upcTitle));
+      assessment = MediaMatching.assessMatch(match, cleanTitle, year);
+    } else {
+      const lookup = await MediaMatching.matchSeasonOrCollection(client, { originalTitle: upcTitle }, release);
+      match = lookup.needsReview ? { needsManualReview: true } : lookup.tmdbData;
+      assessment = { confidence: lookup.confidence, reasons: lookup.reasons };
+    }
+  } catch (error) {
+    matchError = error.message;
+  }
+
+  const actual = {
+    kind: release.kind + (release.seasonNumber ? ` ${release.seasonNumber}` : ''),
+    title: cleanTitle,
+    year,
+    format,
+    edition,
+    match: match && !match.needsManualReview ? match.id : null
+  };
+  const expectedKind = (expected.releaseKind || 'movie') + (expected.seasonNumber ? ` ${expected.seasonNumber}` : '');
+  const passed = {
+    kind: actual.kind === expectedKind,
+    title: sameTitle(cleanTitle, expected.title),
+    year: year === (expected.year ?? null),
+    format: format === expected.format,
+    edition: edition === expected.edition,
+    match: actual.match === expected.tmdbId
+  };
+
+  return { upcTitle, expected, actual, passed, assessment, matchError };
+}
+
+function summarize(results) {
+  const perCheck = {};
+  let passedTotal = 0;
+  for (const check of CHECKS) {
+    const passed = results.filter(result => result.passed[check]).length;
+    perCheck[check] = { passed, total: results.length, accuracy: results.length ? passed / results.length : 1 };
+    passedTotal += passed;
+  }
+  const total = results.length * CHECKS.length;
+  return {
+    fixtures: results.length,
+    perCheck,
+    overall: total ? passedTotal / total : 1,
+    fullyCorrect: results.filter(result => CHECKS.every(check => result.passed[check])).length
+  };
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(results, summary, verbose) {
+  for (const result of results) {
+    const failed = CHECKS.filter(check => !result.passed[check]);
+    if (!verbose && failed.length === 0) continue;
+
+    console.log(`${failed.length === 0 ? 'PASS' : 'FAIL'}  "${result.upcTitle}"`);
+    for (const check of CHECKS) {
+      if (!verbose && result.passed[check]) continue;
+      const expectedValue = {
+        kind: (result.expected.releaseKind || 'movie') + (result.expected.seasonNumber ? ` ${result.expected.seasonNumber}` : ''),
+        match: result.expected.tmdbId
+      }[check] ?? result.expected[check];
+      console.log(`      ${check.padEnd(8)} expected ${JSON.stringify(expectedValue ?? null)}, got ${JSON.stringify(result.actual[check])}`);
+    }
+    if (result.assessment) {
+      const { confidence, reasons, needsReview } = result.assessment;
+      console.log(`      conf     ${confidence.toFixed(2)}${needsReview ? ' (review)' : ''}${reasons.length ? ` - ${reasons.join('; ')}` : ''}`);
+    }
+    if (result.matchError) console.log(`      error    ${result.matchError}`);
+  }
+
+  console.log('');
+  console.log(`Fixtures: ${summary.fixtures}, fully correct: ${summary.fullyCorrect}`);
+  for (const check of CHECKS) {
+    const { passed, total, accuracy } = summary.perCheck[check];
+    console.log(`  ${check.padEnd(8)} ${String(passed).padStart(3)}/${total}  ${formatPercent(accuracy)}`);
+  }
+  console.log(`  overall           ${formatPercent(summary.overall)}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const fixtures = require(FIXTURES_PATH);
+
+  const results = [];
+  for (const fixture of fixtures) {
+    results.push(await runFixture(fixture));
+  }
+  const summary = summarize(results);
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...summary, results }, null, 2));
+  } else {
+    printReport(results, summary, options.verbose);
+  }
+
+  if (summary.overall < options.minAccuracy) {
+    console.error(`Overall accuracy ${formatPercent(summary.overall)} is below ${formatPercent(options.minAccuracy)}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -392,12 +392,12 @@ const ValidationUtils = {
     },
 
     /**
-     * Validate barcode format
+     * Validate a barcode: a UPC/EAN/GTIN whose check digit matches (see barcodes.js)
      * @param {string} barcode - Barcode to validate
      * @returns {boolean} Is valid barcode
      */
     isValidBarcode: (barcode) => {
-        return /^\d{8,18}$/.test(barcode);
+        return LibraryUtils.barcodes.canonicalize(barcode) !== null;
     },
 
     /**
@@ -425,6 +425,15 @@ const ValidationUtils = {
  * UI UTILITIES
  */
 const UIUtils = {
+    /**
+     * Escape text for use inside HTML markup or a quoted attribute
+     * @param {*} value - Text from a user, device or server
+     * @returns {string} Escaped text
+     */
+    escapeHtml: (value) => {
+        return String(value ?? '').replace(/[&"'<>]/g, char => ({ '&': '&amp;', '"': '&quot;', "'": '&#39;', '<': '&lt;', '>': '&gt;' })[char]);
+    },
+
     /**
      * Show loading state on button
      * @param {string|HTMLElement} button - Button element or ID
@@ -638,6 +647,39 @@ const SkeletonUtils = {
     }
 };
 
+/**
+ * OFFLINE UTILITIES
+ */
+const OfflineUtils = {
+    /**
+     * Lets Firestore answer reads from its IndexedDB cache and queue writes while offline.
+     * Call right after firebase.firestore(), before the first query.
+     * @param {object} db - Firestore instance
+     */
+    enableFirestorePersistence: (db) => {
+        db.enablePersistence({ synchronizeTabs: true }).catch(error => {
+            // failed-precondition: an old tab opened Firestore without synchronizeTabs
+            // unimplemented: the browser has no IndexedDB (e.g. some private modes)
+            console.warn(`Firestore offline cache unavailable (${error.code})`);
+        });
+    },
+
+    /**
+     * Whether the browser currently believes it has a network connection
+     * @returns {boolean}
+     */
+    isOnline: () => typeof navigator === 'undefined' || navigator.onLine !== false,
+
+    /**
+     * Whether a failed request never reached the server (fetch rejects with a TypeError
+     * when the connection drops; callers that rewrap it set error.offline), as opposed to
+     * the server answering with an error
+     * @param {Error} error - Error thrown by fetch or a caller of it
+     * @returns {boolean}
+     */
+    isNetworkError: (error) => !OfflineUtils.isOnline() || error instanceof TypeError || error.offline === true
+};
+
 
 /**
  * GLOBAL UTILITIES OBJECT
@@ -648,8 +690,11 @@ const LibraryUtils = {
     dates: DateUtils,
     errors: ErrorUtils,
     validation: ValidationUtils,
+    // barcodes.js loads first in the browser; Node requires it here
+    barcodes: typeof BarcodeUtils !== 'undefined' ? BarcodeUtils : require('./barcodes.js').BarcodeUtils,
     ui: UIUtils,
     skeleton: SkeletonUtils,
+    offline: OfflineUtils,
 };
 
 // Make utilities globally available